@@ -12,6 +12,396 @@ const THEME_KEY = 'houseBuyingTheme';
 const NOTES_KEY = 'houseBuyingNotes';
 const COLLAPSED_KEY = 'houseBuyingCollapsed';
 const STRUCTURE_KEY = 'houseBuyingStructure';
+const PROPERTIES_KEY = 'houseBuyingProperties';
+const PRIORITIES_KEY = 'houseBuyingPriorities';
+const TEMPLATE_KEY = 'houseBuyingTemplate';
+const CUSTOM_KEY = 'houseBuyingCustomItems';
+const VIEW_FILTER_KEY = 'houseBuyingViewFilter';
+const FINANCE_KEY = 'houseBuyingFinance';
+const COMPARABLES_KEY = 'houseBuyingComparables';
+
+// Every persisted key starts with this prefix, which is what backups collect
+const STORAGE_PREFIX = 'houseBuying';
+const BACKUP_FORMAT = 'house-buying-records-backup';
+const BACKUP_VERSION = 1;
+
+// Version of the persisted data shape; bump it together with a new MIGRATIONS entry
+const SCHEMA_VERSION = 3;
+
+// Keys stored as plain strings rather than versioned payloads
+const RAW_STORAGE_KEYS = [THEME_KEY];
+
+// Keys whose data is stored separately for each property
+const PROPERTY_SCOPED_KEYS = [STORAGE_KEY, NOTES_KEY, STRUCTURE_KEY, TEMPLATE_KEY, CUSTOM_KEY, COMPARABLES_KEY];
+
+// Per-property keys upgraded together, because migrations move data between them
+const LINKED_KEYS = [STRUCTURE_KEY, TEMPLATE_KEY, CUSTOM_KEY];
+
+const SECTION_KEYS = ['viewing', 'buying', 'handover', 'loan'];
+
+// Short stage names used wherever a section is referred to outside its own card
+const SECTION_TITLES = {
+  viewing: '看房',
+  buying: '買房',
+  handover: '交屋',
+  loan: '貸款'
+};
+
+// Possible outcomes of an assessed checklist item
+const ITEM_STATUSES = {
+  pass: { label: '通過', icon: '✓' },
+  concern: { label: '注意', icon: '!' },
+  fail: { label: '不合格', icon: '✕' },
+  na: { label: '不適用', icon: '–' }
+};
+
+const MAX_RATING = 5;
+
+// Item importance levels used for weighted scoring
+const WEIGHT_LEVELS = {
+  1: '一般',
+  2: '重要',
+  3: '非常重要'
+};
+
+// Score contribution of each status when an item has no rating
+const STATUS_SCORES = {
+  pass: 1,
+  concern: 0.5,
+  fail: 0
+};
+
+// Which items each view filter keeps visible
+const VIEW_FILTERS = {
+  all: { label: '全部', matches: () => true },
+  unchecked: { label: '未完成', matches: (status) => !status },
+  checked: { label: '已完成', matches: (status) => isAssessedStatus(status) },
+  flagged: { label: '需注意', matches: (status) => status === 'concern' || status === 'fail' },
+  recent: { label: '最近變更', matches: (status, changedAt, since) => Boolean(changedAt) && changedAt >= since }
+};
+
+const RECENT_DAY_OPTIONS = [1, 3, 7, 30];
+
+// URL schemes a rendered link may point to; other links are shown as plain text
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+// Elements and attributes rendered Markdown may contain; everything else is dropped
+const SAFE_HTML = {
+  tags: ['A', 'BLOCKQUOTE', 'BR', 'CODE', 'DEL', 'DIV', 'EM', 'H4', 'H5', 'H6', 'HR', 'INPUT', 'LI', 'OL',
+    'P', 'PRE', 'STRONG', 'TABLE', 'TBODY', 'TD', 'TH', 'THEAD', 'TR', 'UL'],
+  attributes: {
+    '*': ['class'],
+    A: ['href', 'target', 'rel'],
+    INPUT: ['type', 'checked', 'disabled', 'data-task-line', 'aria-label'],
+    OL: ['start'],
+    TD: ['style'],
+    TH: ['style']
+  }
+};
+
+// ========================================
+// Storage & Migrations
+// ========================================
+
+// Item priorities the template gained in schema version 2
+const PRIORITY_DEFAULTS_V2 = {
+  v17: { weight: 3, dealBreaker: true },
+  v20: { weight: 3, dealBreaker: true },
+  b8: { weight: 3, dealBreaker: true },
+  b9: { weight: 3, dealBreaker: true }
+};
+
+/**
+ * Upgrade steps for persisted payloads, applied in order
+ * Each step maps a base storage key to a function receiving the payload
+ * at the previous version and returning it at `version`. Steps that need
+ * several of a property's LINKED_KEYS use `upgradeLinked`, which receives and
+ * returns { [baseKey]: payload or null } for one property. Keys introduced later
+ * with nothing stored before them start from their defaults and need no step.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: '勾選清單改為項目評估',
+    upgrade: {
+      [STORAGE_KEY](data) {
+        if (data.items) return data;
+        const items = {};
+        (data.checkedItems || []).forEach(itemId => {
+          items[itemId] = { status: 'pass', rating: null, updatedAt: data.lastUpdated || null };
+        });
+        return { items, lastUpdated: data.lastUpdated || null };
+      }
+    }
+  },
+  {
+    version: 2,
+    description: '補上項目預設的重要程度',
+    upgrade: {
+      [STRUCTURE_KEY](data) {
+        Object.values(data).forEach(subsections => {
+          subsections.forEach(subsection => {
+            subsection.items.forEach(item => {
+              const defaults = PRIORITY_DEFAULTS_V2[item.id];
+              if (defaults && item.weight === undefined && item.dealBreaker === undefined) {
+                Object.assign(item, defaults);
+              }
+            });
+          });
+        });
+        return data;
+      },
+      [TEMPLATE_KEY](data) {
+        // The structure now carries these defaults, so they are no longer a pending update
+        Object.entries(PRIORITY_DEFAULTS_V2).forEach(([itemId, defaults]) => {
+          const entry = data[itemId];
+          if (entry && entry.weight === null && entry.dealBreaker === null) {
+            Object.assign(entry, defaults);
+          }
+        });
+        return data;
+      },
+      [PRIORITIES_KEY](data) {
+        // Editing an item used to save its priority even when unchanged; drop
+        // entries that only repeat the plain default so template defaults apply
+        Object.keys(data).forEach(itemId => {
+          const entry = data[itemId];
+          if (!PRIORITY_DEFAULTS_V2[itemId] && entry && entry.weight === 1 && !entry.dealBreaker) {
+            delete data[itemId];
+          }
+        });
+        return data;
+      }
+    }
+  },
+  {
+    version: 3,
+    description: '內建項目的修改改存為覆寫',
+    upgradeLinked(payloads) {
+      const structure = payloads[STRUCTURE_KEY];
+      if (!structure) return payloads;
+
+      // Structures saved before overlays existed had edits written into the
+      // structure itself, so move them out
+      const customItems = payloads[CUSTOM_KEY] ||
+        extractCustomItems(structure, payloads[TEMPLATE_KEY] || indexTemplate(checklistData));
+
+      // Structures saved before baselines existed are assumed to be in sync
+      // with their built-in items
+      const templateBaseline = payloads[TEMPLATE_KEY] ||
+        indexTemplate(structure, itemId => !isCustomItemId(itemId));
+
+      return { [STRUCTURE_KEY]: structure, [TEMPLATE_KEY]: templateBaseline, [CUSTOM_KEY]: customItems };
+    }
+  }
+];
+
+/**
+ * Raised when persisted data cannot be read or upgraded
+ */
+class StorageError extends Error {
+  /**
+   * @param {string} message - User-facing description
+   * @param {string} key - Storage key that failed
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(message, key, cause) {
+    super(message);
+    this.name = 'StorageError';
+    this.key = key;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Reads and writes versioned payloads in localStorage
+ * Stored values look like { schemaVersion, data }; bare values are version 0
+ */
+const StorageManager = {
+  /**
+   * Reads a payload, upgrading and re-saving it if it is outdated
+   * @param {string} key - Storage key
+   * @returns {*} - The payload, or null if nothing is stored
+   * @throws {StorageError}
+   */
+  read(key) {
+    const [baseKey, propertyId] = key.split(':');
+    if (propertyId && LINKED_KEYS.includes(baseKey)) {
+      return this.readLinked(propertyId)[key];
+    }
+
+    const stored = this.parse(key);
+    if (stored === undefined) return null;
+
+    const { version } = this.unwrap(stored);
+    const data = this.upgrade(key, stored);
+    if (version < SCHEMA_VERSION) {
+      this.write(key, data);
+    }
+    return data;
+  },
+
+  /**
+   * Reads all LINKED_KEYS of a property, upgrading and re-saving them together
+   * @param {string} propertyId - Property identifier
+   * @returns {Object} - { [key]: payload or null }
+   * @throws {StorageError}
+   */
+  readLinked(propertyId) {
+    const stored = {};
+    LINKED_KEYS.forEach(baseKey => {
+      const key = `${baseKey}:${propertyId}`;
+      stored[key] = this.parse(key);
+    });
+
+    const payloads = this.upgradeLinked(propertyId, stored);
+    Object.entries(payloads).forEach(([key, data]) => {
+      const isOutdated = stored[key] === undefined || this.unwrap(stored[key]).version < SCHEMA_VERSION;
+      if (data !== null && isOutdated) {
+        this.write(key, data);
+      }
+    });
+    return payloads;
+  },
+
+  /**
+   * Parses a stored value
+   * @param {string} key - Storage key
+   * @returns {*} - Parsed value, or undefined if nothing is stored
+   * @throws {StorageError}
+   */
+  parse(key) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return undefined;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new StorageError('資料格式損壞，無法解析。', key, error);
+    }
+  },
+
+  /**
+   * Writes a payload wrapped in the current schema version
+   * @param {string} key - Storage key
+   * @param {*} data - Payload
+   */
+  write(key, data) {
+    localStorage.setItem(key, JSON.stringify({ schemaVersion: SCHEMA_VERSION, data }));
+  },
+
+  /**
+   * Splits a stored value into its version and payload
+   * @param {*} stored - Parsed stored value
+   * @returns {Object} - { version, data }
+   */
+  unwrap(stored) {
+    const isEnvelope = stored !== null && typeof stored === 'object' &&
+      Number.isInteger(stored.schemaVersion) && 'data' in stored;
+    return isEnvelope
+      ? { version: stored.schemaVersion, data: stored.data }
+      : { version: 0, data: stored };
+  },
+
+  /**
+   * Runs every migration newer than a stored value's version
+   * @param {string} key - Storage key (scoped keys use their base key's steps)
+   * @param {*} stored - Parsed stored value, wrapped or bare
+   * @param {number} [toVersion] - Version to stop at
+   * @returns {*} - Payload at toVersion
+   * @throws {StorageError}
+   */
+  upgrade(key, stored, toVersion = SCHEMA_VERSION) {
+    let { version, data } = this.unwrap(stored);
+    if (version > SCHEMA_VERSION) {
+      throw new StorageError(`資料版本（v${version}）比目前網頁（v${SCHEMA_VERSION}）還新，請更新網頁。`, key);
+    }
+    if (data === null) return null;
+
+    const baseKey = key.split(':')[0];
+    MIGRATIONS.forEach(migration => {
+      if (migration.version <= version || migration.version > toVersion) return;
+      const step = migration.upgrade && migration.upgrade[baseKey];
+      if (step) {
+        data = this.runStep(migration, key, () => step(data));
+      }
+      version = migration.version;
+    });
+    return data;
+  },
+
+  /**
+   * Upgrades the LINKED_KEYS of one property, running their shared steps
+   * once every key has reached the version before each step
+   * @param {string} propertyId - Property identifier
+   * @param {Object} stored - Parsed stored values by key; missing keys are undefined
+   * @returns {Object} - { [key]: payload at SCHEMA_VERSION, or null }
+   * @throws {StorageError}
+   */
+  upgradeLinked(propertyId, stored) {
+    const keys = LINKED_KEYS.map(baseKey => `${baseKey}:${propertyId}`);
+    const values = {};
+    keys.forEach(key => {
+      values[key] = stored[key] === undefined ? null : stored[key];
+    });
+    const present = keys.filter(key => values[key] !== null);
+    const version = Math.min(SCHEMA_VERSION, ...present.map(key => this.unwrap(values[key]).version));
+
+    const payloads = {};
+    const upgradeTo = toVersion => keys.forEach(key => {
+      const value = values[key];
+      payloads[key] = value === null ? null : this.upgrade(key, value, toVersion);
+      values[key] = payloads[key] === null ? null : {
+        schemaVersion: Math.max(toVersion, this.unwrap(value).version),
+        data: payloads[key]
+      };
+    });
+
+    MIGRATIONS.forEach(migration => {
+      if (!migration.upgradeLinked || migration.version <= version) return;
+      upgradeTo(migration.version - 1);
+      const byBaseKey = {};
+      LINKED_KEYS.forEach((baseKey, index) => {
+        byBaseKey[baseKey] = payloads[keys[index]];
+      });
+      const result = this.runStep(migration, present[0], () => migration.upgradeLinked(byBaseKey));
+      LINKED_KEYS.forEach((baseKey, index) => {
+        const data = result[baseKey] ?? null;
+        values[keys[index]] = data === null ? null : { schemaVersion: migration.version, data };
+      });
+    });
+    upgradeTo(SCHEMA_VERSION);
+    return payloads;
+  },
+
+  /**
+   * Runs one migration step, reporting failures as a StorageError
+   * @param {Object} migration - Entry of MIGRATIONS
+   * @param {string} key - Storage key being upgraded
+   * @param {Function} step - Performs the step and returns its result
+   * @returns {*}
+   * @throws {StorageError}
+   */
+  runStep(migration, key, step) {
+    try {
+      return step();
+    } catch (error) {
+      throw new StorageError(`資料升級失敗（v${migration.version}：${migration.description}）。`, key, error);
+    }
+  }
+};
+
+/**
+ * Lists every persisted key of this app
+ * @returns {Array<string>}
+ */
+function getStoredKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(STORAGE_PREFIX)) keys.push(key);
+  }
+  return keys;
+}
 
 // ========================================
 // State Management
@@ -21,49 +411,358 @@ const STRUCTURE_KEY = 'houseBuyingStructure';
  * Application state manager
  */
 const AppState = {
-  checkedItems: new Set(),
+  itemStates: {}, // Item assessments: { [itemId]: { status, rating, updatedAt } }
   notes: {},
   collapsedSections: new Set(),
   structure: {}, // Stores the full checklists structure
+  templateBaseline: {}, // Default items as of the last template sync, indexed by item ID
+  customItems: {}, // Edits to built-in items, overlaid on the structure: { [itemId]: { text, description, updatedAt } }
+  properties: [], // Candidate properties: { id, name, address, price, profile, createdAt }
+  activePropertyId: null,
+  priorities: {}, // Personal priority profile shared by all properties: { [itemId]: { weight, dealBreaker } }
+  viewFilter: { mode: 'all', days: 7 }, // Which items are shown in every section
+  finance: {}, // Household income and savings shared by all properties, see FINANCE_DEFAULTS
+  comparableSales: null, // 實價登錄 transactions imported for the active property, see getComparableSales()
 
   /**
    * Loads state from localStorage
    */
   load() {
     try {
-      // Load checked items
-      const saved = localStorage.getItem(STORAGE_KEY);
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        this.checkedItems = new Set(parsed.checkedItems || []);
-      }
-
-      // Load notes
-      const savedNotes = localStorage.getItem(NOTES_KEY);
-      if (savedNotes) {
-        this.notes = JSON.parse(savedNotes);
-      }
+      // Load properties first so per-property keys can be resolved
+      this.loadProperties();
+      this.loadPropertyData();
 
       // Load collapsed sections
-      const savedCollapsed = localStorage.getItem(COLLAPSED_KEY);
-      if (savedCollapsed) {
-        this.collapsedSections = new Set(JSON.parse(savedCollapsed));
+      this.collapsedSections = new Set(StorageManager.read(COLLAPSED_KEY) || []);
+
+      // Load priority profile
+      this.priorities = StorageManager.read(PRIORITIES_KEY) || {};
+
+      // Load view filter
+      this.viewFilter = { mode: 'all', days: 7, ...StorageManager.read(VIEW_FILTER_KEY) };
+      if (!VIEW_FILTERS[this.viewFilter.mode]) this.viewFilter.mode = 'all';
+
+      // Load household finances
+      this.finance = { ...FINANCE_DEFAULTS, ...StorageManager.read(FINANCE_KEY) };
+    } catch (error) {
+      if (error instanceof StorageError) throw error;
+      throw new StorageError('讀取資料時發生未預期的錯誤。', null, error);
+    }
+  },
+
+  /**
+   * Loads the property list, creating a first property from legacy data if needed
+   */
+  loadProperties() {
+    const saved = StorageManager.read(PROPERTIES_KEY);
+    this.properties = saved ? saved.properties || [] : [];
+    this.activePropertyId = saved ? saved.activePropertyId : null;
+
+    if (this.properties.length === 0) {
+      const property = this.createProperty({ name: '我的物件' });
+      this.properties = [property];
+      this.activePropertyId = property.id;
+
+      // Data saved before properties existed belongs to the first property
+      PROPERTY_SCOPED_KEYS.forEach(baseKey => {
+        const legacy = localStorage.getItem(baseKey);
+        if (legacy !== null) {
+          localStorage.setItem(this.scopedKey(baseKey, property.id), legacy);
+          localStorage.removeItem(baseKey);
+        }
+      });
+      this.saveProperties();
+    }
+
+    if (!this.getProperty(this.activePropertyId)) {
+      this.activePropertyId = this.properties[0].id;
+    }
+  },
+
+  /**
+   * Loads checked items, notes and structure of the active property
+   */
+  loadPropertyData() {
+    // Load item assessments
+    this.itemStates = this.readItemStates(this.activePropertyId);
+
+    // Load notes
+    this.notes = StorageManager.read(this.scopedKey(NOTES_KEY)) || {};
+
+    // Load structure or init with default
+    const savedStructure = StorageManager.read(this.scopedKey(STRUCTURE_KEY));
+    if (savedStructure) {
+      this.structure = savedStructure;
+    } else {
+      // Deep copy default data if no saved structure
+      this.structure = JSON.parse(JSON.stringify(checklistData));
+      this.saveStructure();
+    }
+
+    // Load edits to built-in items
+    this.customItems = StorageManager.read(this.scopedKey(CUSTOM_KEY)) || {};
+
+    // Load the template the structure was synced to
+    const savedBaseline = StorageManager.read(this.scopedKey(TEMPLATE_KEY));
+    if (savedBaseline) {
+      this.templateBaseline = savedBaseline;
+    } else {
+      this.templateBaseline = indexTemplate(this.structure, itemId => !isCustomItemId(itemId));
+      this.saveTemplateBaseline();
+    }
+
+    // Load imported comparable sales
+    this.comparableSales = StorageManager.read(this.scopedKey(COMPARABLES_KEY));
+  },
+
+  /**
+   * Saves the template baseline of the active property
+   */
+  saveTemplateBaseline() {
+    try {
+      StorageManager.write(this.scopedKey(TEMPLATE_KEY), this.templateBaseline);
+    } catch (error) {
+      console.error('Failed to save template baseline:', error);
+    }
+  },
+
+  /**
+   * Finds an item anywhere in the active structure
+   * @param {string} itemId - Item identifier
+   * @returns {Object|null} - { sectionKey, subsectionIndex, item }
+   */
+  findItem(itemId) {
+    for (const sectionKey of Object.keys(this.structure)) {
+      const subsections = this.structure[sectionKey];
+      for (let subsectionIndex = 0; subsectionIndex < subsections.length; subsectionIndex++) {
+        const item = subsections[subsectionIndex].items.find(i => i.id === itemId);
+        if (item) return { sectionKey, subsectionIndex, item };
       }
+    }
+    return null;
+  },
 
-      // Load structure or init with default
-      const savedStructure = localStorage.getItem(STRUCTURE_KEY);
-      if (savedStructure) {
-        this.structure = JSON.parse(savedStructure);
-      } else {
-        // Deep copy default data if no saved structure
-        this.structure = JSON.parse(JSON.stringify(checklistData));
-        this.saveStructure();
+  /**
+   * Applies one template change to the active structure and baseline
+   * @param {Object} change - Entry from diffTemplate()
+   */
+  applyTemplateChange(change) {
+    HistoryManager.record('套用範本更新');
+    const location = this.findItem(change.id);
+
+    if (change.type === 'added' && !location) {
+      const { sectionKey, subsectionTitle, subsectionIcon, previousId } = change.after;
+      const subsections = this.getSectionStructure(sectionKey);
+      let subsection = subsections.find(sub => sub.title === subsectionTitle);
+      if (!subsection) {
+        subsection = { title: subsectionTitle, icon: subsectionIcon, items: [] };
+        subsections.push(subsection);
       }
+      // Keep the template's order when the preceding item is still there
+      const previousIndex = subsection.items.findIndex(item => item.id === previousId);
+      let insertAt = subsection.items.length;
+      if (previousId === null) {
+        insertAt = 0;
+      } else if (previousIndex >= 0) {
+        insertAt = previousIndex + 1;
+      }
+      subsection.items.splice(insertAt, 0, templateEntryToItem(change.id, change.after));
+    } else if (change.type === 'changed' && location) {
+      Object.assign(location.item, templateEntryToItem(change.id, change.after));
+    } else if (change.type === 'removed' && location) {
+      const items = this.structure[location.sectionKey][location.subsectionIndex].items;
+      items.splice(items.indexOf(location.item), 1);
+      delete this.itemStates[change.id];
+      delete this.customItems[change.id];
+      this.saveItemStates();
+      this.saveCustomItems();
+    }
+
+    this.skipTemplateChange(change);
+    this.saveStructure();
+  },
+
+  /**
+   * Marks a template change as handled without touching the structure
+   * @param {Object} change - Entry from diffTemplate()
+   */
+  skipTemplateChange(change) {
+    HistoryManager.record('略過範本更新');
+    if (change.type === 'removed') {
+      delete this.templateBaseline[change.id];
+    } else {
+      this.templateBaseline[change.id] = change.after;
+    }
+    this.saveTemplateBaseline();
+  },
+
+  /**
+   * Reads the item assessments of a property from localStorage
+   * @param {string} propertyId - Property identifier
+   * @returns {Object} - { [itemId]: { status, rating, updatedAt } }
+   */
+  readItemStates(propertyId) {
+    const saved = StorageManager.read(this.scopedKey(STORAGE_KEY, propertyId));
+    return saved ? saved.items || {} : {};
+  },
+
+  /**
+   * Builds the storage key of a per-property value
+   * @param {string} baseKey - One of PROPERTY_SCOPED_KEYS
+   * @param {string} [propertyId] - Defaults to the active property
+   * @returns {string}
+   */
+  scopedKey(baseKey, propertyId = this.activePropertyId) {
+    return `${baseKey}:${propertyId}`;
+  },
+
+  /**
+   * Saves the property list and the active property
+   */
+  saveProperties() {
+    try {
+      const data = {
+        properties: this.properties,
+        activePropertyId: this.activePropertyId
+      };
+      StorageManager.write(PROPERTIES_KEY, data);
     } catch (error) {
-      console.error('Failed to load state:', error);
-      // Fallback
-      this.structure = JSON.parse(JSON.stringify(checklistData));
+      console.error('Failed to save properties:', error);
+    }
+  },
+
+  /**
+   * Creates a property record (not yet added to the list)
+   * @param {Object} fields - { name, address, price }
+   * @returns {Object}
+   */
+  createProperty({ name, address = '', price = null, profile = {} }) {
+    return {
+      id: `prop_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      name: name.trim(),
+      address: address.trim(),
+      price,
+      profile,
+      createdAt: new Date().toISOString()
+    };
+  },
+
+  /**
+   * Gets a property by ID
+   * @param {string} propertyId - Property identifier
+   * @returns {Object|null}
+   */
+  getProperty(propertyId) {
+    return this.properties.find(p => p.id === propertyId) || null;
+  },
+
+  /**
+   * Gets the property currently being viewed
+   * @returns {Object}
+   */
+  getActiveProperty() {
+    return this.getProperty(this.activePropertyId);
+  },
+
+  /**
+   * Adds a property and makes it active
+   * @param {Object} fields - { name, address, price }
+   * @returns {Object} - The created property
+   */
+  addProperty(fields) {
+    const property = this.createProperty(fields);
+    this.properties.push(property);
+    this.switchProperty(property.id);
+    return property;
+  },
+
+  /**
+   * Updates a property's name, address, asking price and listing profile
+   * @param {string} propertyId - Property identifier
+   * @param {Object} fields - { name, address, price, profile }; profile is kept when omitted
+   */
+  updateProperty(propertyId, fields) {
+    const property = this.getProperty(propertyId);
+    if (property) {
+      property.name = fields.name.trim();
+      property.address = (fields.address || '').trim();
+      property.price = fields.price;
+      if (fields.profile) property.profile = fields.profile;
+      this.saveProperties();
+    }
+  },
+
+  /**
+   * Reads feature data stored on the active property (e.g. calculator inputs)
+   * @param {string} key - Field name on the property record
+   * @returns {*} - Stored value, or null
+   */
+  getPropertyData(key) {
+    const property = this.getActiveProperty();
+    return property && property[key] !== undefined ? property[key] : null;
+  },
+
+  /**
+   * Stores feature data on the active property
+   * @param {string} key - Field name on the property record
+   * @param {*} value - JSON-serializable value
+   */
+  setPropertyData(key, value) {
+    const property = this.getActiveProperty();
+    if (!property) return;
+    property[key] = value;
+    this.saveProperties();
+  },
+
+  /**
+   * Deletes a property and all of its data
+   * @param {string} propertyId - Property identifier
+   * @returns {boolean} - False if it is the last property
+   */
+  deleteProperty(propertyId) {
+    if (this.properties.length <= 1) return false;
+
+    this.properties = this.properties.filter(p => p.id !== propertyId);
+    PROPERTY_SCOPED_KEYS.forEach(baseKey => {
+      localStorage.removeItem(this.scopedKey(baseKey, propertyId));
+    });
+
+    if (this.activePropertyId === propertyId) {
+      this.switchProperty(this.properties[0].id);
+    } else {
+      this.saveProperties();
+    }
+    return true;
+  },
+
+  /**
+   * Reads the item assessments of any property without switching to it
+   * @param {string} propertyId - Property identifier
+   * @returns {Object} - { [itemId]: { status, rating, updatedAt } }
+   */
+  getPropertyItemStates(propertyId) {
+    if (propertyId === this.activePropertyId) {
+      return this.itemStates;
     }
+    try {
+      return this.readItemStates(propertyId);
+    } catch (error) {
+      console.error('Failed to read property data:', error);
+      return {};
+    }
+  },
+
+  /**
+   * Makes another property active and loads its data
+   * @param {string} propertyId - Property identifier
+   */
+  switchProperty(propertyId) {
+    if (!this.getProperty(propertyId)) return;
+    this.activePropertyId = propertyId;
+    this.saveProperties();
+    this.loadPropertyData();
+    HistoryManager.clear();
   },
 
   /**
@@ -71,24 +770,24 @@ const AppState = {
    */
   saveStructure() {
     try {
-      localStorage.setItem(STRUCTURE_KEY, JSON.stringify(this.structure));
+      StorageManager.write(this.scopedKey(STRUCTURE_KEY), this.structure);
     } catch (error) {
       console.error('Failed to save structure:', error);
     }
   },
 
   /**
-   * Saves checked items to localStorage
+   * Saves item assessments to localStorage
    */
-  saveCheckedItems() {
+  saveItemStates() {
     try {
       const data = {
-        checkedItems: Array.from(this.checkedItems),
+        items: this.itemStates,
         lastUpdated: new Date().toISOString()
       };
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+      StorageManager.write(this.scopedKey(STORAGE_KEY), data);
     } catch (error) {
-      console.error('Failed to save checked items:', error);
+      console.error('Failed to save item states:', error);
     }
   },
 
@@ -97,7 +796,7 @@ const AppState = {
    */
   saveNotes() {
     try {
-      localStorage.setItem(NOTES_KEY, JSON.stringify(this.notes));
+      StorageManager.write(this.scopedKey(NOTES_KEY), this.notes);
     } catch (error) {
       console.error('Failed to save notes:', error);
     }
@@ -108,12 +807,39 @@ const AppState = {
    */
   saveCollapsed() {
     try {
-      localStorage.setItem(COLLAPSED_KEY, JSON.stringify(Array.from(this.collapsedSections)));
+      StorageManager.write(COLLAPSED_KEY, Array.from(this.collapsedSections));
     } catch (error) {
       console.error('Failed to save collapsed state:', error);
     }
   },
 
+  /**
+   * Changes the view filter shown in every section
+   * @param {string} mode - Key of VIEW_FILTERS
+   * @param {number} [days] - Look-back window for the "recent" filter
+   */
+  setViewFilter(mode, days = this.viewFilter.days) {
+    this.viewFilter = { mode, days };
+    try {
+      StorageManager.write(VIEW_FILTER_KEY, this.viewFilter);
+    } catch (error) {
+      console.error('Failed to save view filter:', error);
+    }
+  },
+
+  /**
+   * Updates the household finances used by the affordability check
+   * @param {Object} finance - Fields of FINANCE_DEFAULTS
+   */
+  setFinance(finance) {
+    this.finance = { ...this.finance, ...finance };
+    try {
+      StorageManager.write(FINANCE_KEY, this.finance);
+    } catch (error) {
+      console.error('Failed to save finances:', error);
+    }
+  },
+
   /**
    * Gets structure for a section
    */
@@ -128,10 +854,12 @@ const AppState = {
    * Adds a new item to a subsection
    */
   addItem(sectionKey, subsectionIndex) {
+    HistoryManager.record('新增項目');
     const newItem = {
       id: `custom_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
       text: '新項目',
-      description: '點擊編輯按鈕修改內容'
+      description: '點擊編輯按鈕修改內容',
+      updatedAt: new Date().toISOString()
     };
 
     if (this.structure[sectionKey] && this.structure[sectionKey][subsectionIndex]) {
@@ -146,13 +874,19 @@ const AppState = {
    * Deletes an item
    */
   deleteItem(sectionKey, subsectionIndex, itemId) {
+    HistoryManager.record('刪除項目');
     if (this.structure[sectionKey] && this.structure[sectionKey][subsectionIndex]) {
       const items = this.structure[sectionKey][subsectionIndex].items;
       this.structure[sectionKey][subsectionIndex].items = items.filter(item => item.id !== itemId);
 
-      // Also remove checked state if exists
-      // Note: itemId in checkedItems is prefixed with sectionKey usually in UI logic
-      // verification needed on how itemId is stored in checkedItems vs structure
+      // Also remove the assessment if exists
+      if (this.itemStates[itemId]) {
+        delete this.itemStates[itemId];
+        this.saveItemStates();
+      }
+      if (this.customItems[itemId]) {
+        this.resetCustomItem(itemId);
+      }
 
       this.saveStructure();
       return true;
@@ -162,14 +896,23 @@ const AppState = {
 
   /**
    * Updates an item's content
+   * Built-in items keep their default wording and store the edit as an overlay
    */
   updateItemContent(sectionKey, subsectionIndex, itemId, text, description) {
+    HistoryManager.record('編輯項目');
     if (this.structure[sectionKey] && this.structure[sectionKey][subsectionIndex]) {
       const item = this.structure[sectionKey][subsectionIndex].items.find(i => i.id === itemId);
       if (item) {
-        item.text = text;
-        item.description = description;
-        this.saveStructure();
+        if (isCustomItemId(itemId)) {
+          item.text = text;
+          item.description = description;
+          item.updatedAt = new Date().toISOString();
+          this.saveStructure();
+        } else if (text === item.text && description === (item.description || '')) {
+          this.resetCustomItem(itemId);
+        } else {
+          this.updateCustomItem(itemId, text, description);
+        }
         return true;
       }
     }
@@ -180,6 +923,7 @@ const AppState = {
    * Adds a new subsection (category)
    */
   addSubsection(sectionKey) {
+    HistoryManager.record('新增分類');
     const newSubsection = {
       title: '新分類',
       icon: '📌',
@@ -198,13 +942,16 @@ const AppState = {
    * Deletes a subsection (category)
    */
   deleteSubsection(sectionKey, subsectionIndex) {
+    HistoryManager.record('刪除分類');
     if (this.structure[sectionKey] && this.structure[sectionKey][subsectionIndex]) {
-      // Remove all checked items belonging to this subsection
+      // Remove all assessments belonging to this subsection
       const subsection = this.structure[sectionKey][subsectionIndex];
       subsection.items.forEach(item => {
-        this.checkedItems.delete(item.id);
+        delete this.itemStates[item.id];
+        delete this.customItems[item.id];
       });
-      this.saveCheckedItems();
+      this.saveItemStates();
+      this.saveCustomItems();
 
       // Remove subsection
       this.structure[sectionKey].splice(subsectionIndex, 1);
@@ -218,6 +965,7 @@ const AppState = {
    * Updates a subsection's title and icon
    */
   updateSubsection(sectionKey, subsectionIndex, title, icon) {
+    HistoryManager.record('編輯分類');
     if (this.structure[sectionKey] && this.structure[sectionKey][subsectionIndex]) {
       this.structure[sectionKey][subsectionIndex].title = title;
       this.structure[sectionKey][subsectionIndex].icon = icon || '📌';
@@ -228,35 +976,215 @@ const AppState = {
   },
 
   /**
-   * Toggles an item's checked state
-   * @param {string} itemId - The item identifier (e.g. "viewing-v1")
-   * @returns {boolean} - The new checked state
+   * Moves an item to another position within its subsection
+   * @param {string} sectionKey - Section key
+   * @param {number} subsectionIndex - Subsection index
+   * @param {string} itemId - Item to move
+   * @param {number} toIndex - Position after the move
+   * @returns {boolean} - Whether the order changed
    */
-  toggleItem(itemId) {
-    if (this.checkedItems.has(itemId)) {
-      this.checkedItems.delete(itemId);
-    } else {
-      this.checkedItems.add(itemId);
+  moveItem(sectionKey, subsectionIndex, itemId, toIndex) {
+    const subsection = this.structure[sectionKey] && this.structure[sectionKey][subsectionIndex];
+    if (!subsection) return false;
+
+    const fromIndex = subsection.items.findIndex(item => item.id === itemId);
+    if (fromIndex === -1 || toIndex < 0 || toIndex >= subsection.items.length || fromIndex === toIndex) {
+      return false;
     }
-    this.saveCheckedItems();
-    return this.checkedItems.has(itemId);
+
+    HistoryManager.record('調整順序');
+    const [item] = subsection.items.splice(fromIndex, 1);
+    subsection.items.splice(toIndex, 0, item);
+    this.saveStructure();
+    return true;
   },
 
   /**
-   * Checks if an item is checked
-   * @param {string} itemId - The item identifier
-   * @returns {boolean}
+   * Moves an item to the end of another subsection, possibly in another section
+   * The item keeps its ID, so its assessment, priority and edits move with it
+   * @param {string} itemId - Item to move
+   * @param {string} sectionKey - Target section key
+   * @param {number} subsectionIndex - Target subsection index
+   * @returns {string|null} - Section the item came from, or null if nothing moved
    */
-  isChecked(itemId) {
-    return this.checkedItems.has(itemId);
+  moveItemTo(itemId, sectionKey, subsectionIndex) {
+    const located = this.findItem(itemId);
+    const target = this.structure[sectionKey] && this.structure[sectionKey][subsectionIndex];
+    if (!located || !target) return null;
+    if (located.sectionKey === sectionKey && located.subsectionIndex === subsectionIndex) return null;
+
+    HistoryManager.record('移動項目');
+    const source = this.structure[located.sectionKey][located.subsectionIndex];
+    source.items = source.items.filter(item => item.id !== itemId);
+    target.items.push(located.item);
+    this.saveStructure();
+    return located.sectionKey;
   },
 
   /**
-   * Toggles section collapsed state
-   * @param {string} sectionId - Section identifier
-   * @returns {boolean} - The new collapsed state
+   * Moves a subsection to another position within its section
+   * @param {string} sectionKey - Section key
+   * @param {number} fromIndex - Current subsection index
+   * @param {number} toIndex - Position after the move
+   * @returns {boolean} - Whether the order changed
    */
-  toggleCollapsed(sectionId) {
+  moveSubsection(sectionKey, fromIndex, toIndex) {
+    const subsections = this.structure[sectionKey];
+    if (!subsections || !subsections[fromIndex] || toIndex < 0 || toIndex >= subsections.length || fromIndex === toIndex) {
+      return false;
+    }
+
+    HistoryManager.record('調整分類順序');
+    const [subsection] = subsections.splice(fromIndex, 1);
+    subsections.splice(toIndex, 0, subsection);
+    this.saveStructure();
+    return true;
+  },
+
+  /**
+   * Toggles an item between unassessed and "pass"
+   * @param {string} itemId - The item identifier (e.g. "v1")
+   * @returns {boolean} - The new checked state
+   */
+  toggleItem(itemId) {
+    this.setItemStatus(itemId, this.getItemStatus(itemId) ? null : 'pass');
+    return this.isChecked(itemId);
+  },
+
+  /**
+   * Sets an item's assessment status
+   * A status set by a tool remembers which one, so the tool may revise it
+   * later; setting a status by hand clears that
+   * @param {string} itemId - The item identifier
+   * @param {string|null} status - One of ITEM_STATUSES, or null to clear
+   * @param {string} [source] - Tool that suggested the status
+   */
+  setItemStatus(itemId, status, source = null) {
+    HistoryManager.record('更新評估');
+    const state = this.itemStates[itemId] || { status: null, rating: null };
+    state.status = status;
+    if (status && source) {
+      state.source = source;
+    } else {
+      delete state.source;
+    }
+    this.updateItemState(itemId, state);
+  },
+
+  /**
+   * Sets an item's 1-5 rating
+   * @param {string} itemId - The item identifier
+   * @param {number|null} rating - Rating, or null to clear
+   */
+  setItemRating(itemId, rating) {
+    HistoryManager.record('更新評分');
+    const state = this.itemStates[itemId] || { status: null, rating: null };
+    state.rating = rating;
+    this.updateItemState(itemId, state);
+  },
+
+  /**
+   * Stores an item's assessment, dropping it once nothing is recorded
+   * @param {string} itemId - The item identifier
+   * @param {Object} state - { status, rating }
+   */
+  updateItemState(itemId, state) {
+    if (!state.status && !state.rating) {
+      delete this.itemStates[itemId];
+    } else {
+      state.updatedAt = new Date().toISOString();
+      this.itemStates[itemId] = state;
+    }
+    this.saveItemStates();
+  },
+
+  /**
+   * Gets an item's assessment
+   * @param {string} itemId - The item identifier
+   * @returns {Object|null} - { status, rating, updatedAt }
+   */
+  getItemState(itemId) {
+    return this.itemStates[itemId] || null;
+  },
+
+  /**
+   * Gets an item's assessment status
+   * @param {string} itemId - The item identifier
+   * @returns {string|null}
+   */
+  getItemStatus(itemId) {
+    const state = this.itemStates[itemId];
+    return state ? state.status : null;
+  },
+
+  /**
+   * Gets the tool that set an item's status
+   * @param {string} itemId - The item identifier
+   * @returns {string|null} - Tool id, or null if the status was set by hand
+   */
+  getItemStatusSource(itemId) {
+    const state = this.itemStates[itemId];
+    return state && state.source ? state.source : null;
+  },
+
+  /**
+   * Checks if an item has been assessed (pass, concern or fail)
+   * @param {string} itemId - The item identifier
+   * @returns {boolean}
+   */
+  isChecked(itemId) {
+    return isAssessedStatus(this.getItemStatus(itemId));
+  },
+
+  /**
+   * Gets an item's weight and deal-breaker flag
+   * The personal profile wins over defaults carried by the item itself
+   * @param {Object} item - Item data
+   * @returns {Object} - { weight, dealBreaker }
+   */
+  getItemPriority(item) {
+    const saved = this.priorities[item.id] || {};
+    return {
+      weight: saved.weight ?? item.weight ?? 1,
+      dealBreaker: saved.dealBreaker ?? item.dealBreaker ?? false
+    };
+  },
+
+  /**
+   * Updates an item's weight and deal-breaker flag in the priority profile
+   * Only differences from the item's own defaults are kept, so later template
+   * defaults still apply to items the user never re-prioritized
+   * @param {Object} item - Item data
+   * @param {number} weight - One of WEIGHT_LEVELS
+   * @param {boolean} dealBreaker - Whether a fail rules the property out
+   */
+  setItemPriority(item, weight, dealBreaker) {
+    HistoryManager.record('調整重要程度');
+    if (weight === (item.weight ?? 1) && dealBreaker === (item.dealBreaker ?? false)) {
+      delete this.priorities[item.id];
+    } else {
+      this.priorities[item.id] = { weight, dealBreaker };
+    }
+    this.savePriorities();
+  },
+
+  /**
+   * Saves the priority profile to localStorage
+   */
+  savePriorities() {
+    try {
+      StorageManager.write(PRIORITIES_KEY, this.priorities);
+    } catch (error) {
+      console.error('Failed to save priorities:', error);
+    }
+  },
+
+  /**
+   * Toggles section collapsed state
+   * @param {string} sectionId - Section identifier
+   * @returns {boolean} - The new collapsed state
+   */
+  toggleCollapsed(sectionId) {
     if (this.collapsedSections.has(sectionId)) {
       this.collapsedSections.delete(sectionId);
     } else {
@@ -282,6 +1210,7 @@ const AppState = {
    * @returns {Object} - The created note
    */
   addNote(sectionId, text) {
+    HistoryManager.record('新增註記');
     if (!this.notes[sectionId]) {
       this.notes[sectionId] = [];
     }
@@ -301,6 +1230,7 @@ const AppState = {
    * @param {string} noteId - Note identifier
    */
   deleteNote(sectionId, noteId) {
+    HistoryManager.record('刪除註記');
     if (this.notes[sectionId]) {
       this.notes[sectionId] = this.notes[sectionId].filter(note => note.id !== noteId);
       this.saveNotes();
@@ -314,6 +1244,7 @@ const AppState = {
    * @param {string} newText - New note text
    */
   updateNote(sectionId, noteId, newText) {
+    HistoryManager.record('編輯註記');
     if (this.notes[sectionId]) {
       const note = this.notes[sectionId].find(n => n.id === noteId);
       if (note) {
@@ -338,7 +1269,7 @@ const AppState = {
    */
   saveCustomItems() {
     try {
-      localStorage.setItem(CUSTOM_KEY, JSON.stringify(this.customItems));
+      StorageManager.write(this.scopedKey(CUSTOM_KEY), this.customItems);
     } catch (error) {
       console.error('Failed to save custom items:', error);
     }
@@ -360,20 +1291,149 @@ const AppState = {
    * @param {string} description - Custom description
    */
   updateCustomItem(itemId, text, description) {
-    this.customItems[itemId] = { text, description };
+    this.customItems[itemId] = { text, description, updatedAt: new Date().toISOString() };
     this.saveCustomItems();
   },
 
+  /**
+   * Gets an item with the user's edits applied on top of its default wording
+   * @param {Object} item - Item from the structure
+   * @returns {Object} - Item copy; `original` holds the default wording if edited
+   */
+  resolveItem(item) {
+    const custom = this.customItems[item.id];
+    if (!custom) return item;
+    return {
+      ...item,
+      text: custom.text,
+      description: custom.description,
+      original: { text: item.text, description: item.description || '' }
+    };
+  },
+
   /**
    * Resets an item to default content
    * @param {string} itemId - Item identifier
    */
   resetCustomItem(itemId) {
+    HistoryManager.record('還原預設內容');
     delete this.customItems[itemId];
     this.saveCustomItems();
   }
 };
 
+// ========================================
+// Undo / Redo
+// ========================================
+
+const HISTORY_LIMIT = 50;
+
+/**
+ * Undo/redo history of the active property's checklist and notes
+ * Each step is a snapshot taken right before a mutation; mutations made in
+ * the same task (e.g. saving an item's text and priority) share one step
+ */
+const HistoryManager = {
+  undoStack: [],
+  redoStack: [],
+  batchOpen: false,
+  restoring: false,
+
+  /**
+   * Serializes everything an undo step restores
+   * @returns {string}
+   */
+  snapshot() {
+    return JSON.stringify({
+      structure: AppState.structure,
+      itemStates: AppState.itemStates,
+      notes: AppState.notes,
+      customItems: AppState.customItems,
+      templateBaseline: AppState.templateBaseline,
+      priorities: AppState.priorities
+    });
+  },
+
+  /**
+   * Records the state before a mutation
+   * @param {string} label - What the mutation does, shown after undoing
+   */
+  record(label) {
+    if (this.restoring || this.batchOpen) return;
+
+    this.undoStack.push({ label, state: this.snapshot() });
+    if (this.undoStack.length > HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+
+    this.batchOpen = true;
+    queueMicrotask(() => {
+      this.batchOpen = false;
+    });
+  },
+
+  /**
+   * Writes a snapshot back into AppState and localStorage
+   * @param {string} state - Snapshot from snapshot()
+   */
+  restore(state) {
+    const data = JSON.parse(state);
+    this.restoring = true;
+    Object.assign(AppState, data);
+    AppState.saveStructure();
+    AppState.saveItemStates();
+    AppState.saveNotes();
+    AppState.saveCustomItems();
+    AppState.saveTemplateBaseline();
+    AppState.savePriorities();
+    this.restoring = false;
+  },
+
+  /**
+   * Moves one step between the stacks, skipping steps that changed nothing
+   * @param {Array} from - Stack to take the step from
+   * @param {Array} to - Stack to push the current state onto
+   * @returns {string|null} - Label of the step, or null if there was none
+   */
+  step(from, to) {
+    const current = this.snapshot();
+    while (from.length > 0 && from[from.length - 1].state === current) {
+      from.pop();
+    }
+    if (from.length === 0) return null;
+
+    const entry = from.pop();
+    to.push({ label: entry.label, state: current });
+    this.restore(entry.state);
+    return entry.label;
+  },
+
+  /**
+   * Undoes the last mutation
+   * @returns {string|null} - Label of the undone step
+   */
+  undo() {
+    return this.step(this.undoStack, this.redoStack);
+  },
+
+  /**
+   * Redoes the last undone mutation
+   * @returns {string|null} - Label of the redone step
+   */
+  redo() {
+    return this.step(this.redoStack, this.undoStack);
+  },
+
+  /**
+   * Forgets all steps, e.g. when another property's data is loaded
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+};
+
 // ========================================
 // Theme Management
 // ========================================
@@ -427,795 +1487,5977 @@ const ThemeManager = {
 };
 
 // ========================================
-// UI Components
+// Backup & Restore
 // ========================================
 
 /**
- * Creates a checklist item element
- * @param {Object} item - Item data
- * @param {string} sectionId - Parent section ID
- * @returns {HTMLElement}
- */
-/**
- * Creates a checklist item element
- * @param {Object} item - Item data
- * @param {string} sectionKey - Section key
- * @param {number} subsectionIndex - Subsection index
- * @returns {HTMLElement}
+ * Merge strategies used when importing a backup in "merge" mode
+ * Keyed by base storage key; each receives (local, incoming) parsed values
  */
-function createChecklistItem(item, sectionKey, subsectionIndex) {
-  const itemId = item.id;
-  const isChecked = AppState.isChecked(itemId);
-
-  const li = document.createElement('li');
-  li.className = `checklist__item${isChecked ? ' checklist__item--checked' : ''}`;
-  li.dataset.itemId = itemId;
-  li.dataset.sectionKey = sectionKey;
-  li.dataset.subsectionIndex = subsectionIndex;
-
-  li.innerHTML = `
-    <div class="checklist__checkbox">
-      <span class="checklist__checkbox-icon">✓</span>
-    </div>
-    <div class="checklist__content">
-      <div class="checklist__text">${escapeHtml(item.text)}</div>
-      ${item.description ? `<div class="checklist__description">${parseMarkdown(item.description)}</div>` : ''}
-    </div>
-    <button class="checklist__edit-btn" aria-label="編輯項目">✎</button>
-    <div class="checklist__edit-form">
-      <input type="text" class="checklist__edit-input checklist__edit-input--title" placeholder="項目標題" value="${escapeHtml(item.text)}" />
-      <textarea class="checklist__edit-textarea" placeholder="描述（支援 Markdown：**粗體** *斜體* \`程式碼\` - 清單）">${escapeHtml(item.description || '')}</textarea>
-      <div class="checklist__edit-actions">
-        <button type="button" class="checklist__delete-btn">刪除</button>
-        <div class="checklist__edit-actions-group">
-          <button type="button" class="checklist__edit-cancel">取消</button>
-          <button type="button" class="checklist__edit-save">儲存</button>
-        </div>
-      </div>
-    </div>
-  `;
-
-  // Handle checkbox click
-  const checkbox = li.querySelector('.checklist__checkbox');
-  checkbox.addEventListener('click', (e) => {
-    e.stopPropagation();
-    handleItemClick(li, itemId, sectionKey);
-  });
-
-  // Handle edit button click
-  const editBtn = li.querySelector('.checklist__edit-btn');
-  editBtn.addEventListener('click', (e) => {
-    e.stopPropagation();
-    enterEditMode(li);
-  });
+const BACKUP_MERGERS = {
+  [PROPERTIES_KEY](local, incoming) {
+    const knownIds = new Set(local.properties.map(p => p.id));
+    return {
+      properties: local.properties.concat(incoming.properties.filter(p => !knownIds.has(p.id))),
+      activePropertyId: local.activePropertyId
+    };
+  },
 
-  // Handle delete button
-  const deleteBtn = li.querySelector('.checklist__delete-btn');
-  deleteBtn.addEventListener('click', (e) => {
-    e.stopPropagation();
-    e.preventDefault();
-    const confirmed = window.confirm('確定要刪除「' + item.text + '」嗎？此操作無法復原。');
-    if (confirmed) {
-      const subIdx = parseInt(subsectionIndex, 10);
-      const result = AppState.deleteItem(sectionKey, subIdx, itemId);
-      if (result) {
-        reRenderSection(sectionKey);
-      } else {
-        console.error('Failed to delete item:', { sectionKey, subsectionIndex: subIdx, itemId });
+  [STORAGE_KEY](local, incoming) {
+    // Keep whichever assessment of an item was updated last
+    const items = { ...local.items };
+    Object.entries(incoming.items || {}).forEach(([itemId, state]) => {
+      const current = items[itemId];
+      if (!current || (state.updatedAt || '') > (current.updatedAt || '')) {
+        items[itemId] = state;
       }
-    }
-  });
-
-  // Handle save button
-  const saveBtn = li.querySelector('.checklist__edit-save');
-  saveBtn.addEventListener('click', (e) => {
-    e.stopPropagation();
-    saveItemEdit(li);
-  });
-
-  // Handle cancel button
-  const cancelBtn = li.querySelector('.checklist__edit-cancel');
-  cancelBtn.addEventListener('click', (e) => {
-    e.stopPropagation();
-    exitEditMode(li);
-  });
+    });
+    return { items, lastUpdated: new Date().toISOString() };
+  },
 
-  // Handle inputs
-  const titleInput = li.querySelector('.checklist__edit-input--title');
-  const textarea = li.querySelector('.checklist__edit-textarea');
+  [NOTES_KEY](local, incoming) {
+    // Union notes by ID, keeping the most recently edited copy
+    const merged = { ...local };
+    Object.entries(incoming).forEach(([sectionId, notes]) => {
+      const byId = new Map((merged[sectionId] || []).map(note => [note.id, note]));
+      notes.forEach(note => {
+        const current = byId.get(note.id);
+        const noteTime = note.updatedAt || note.createdAt || '';
+        const currentTime = current ? current.updatedAt || current.createdAt || '' : '';
+        if (!current || noteTime > currentTime) {
+          byId.set(note.id, note);
+        }
+      });
+      merged[sectionId] = Array.from(byId.values())
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    });
+    return merged;
+  },
 
-  const handleKeydown = (e) => {
-    if (e.key === 'Escape') {
-      exitEditMode(li);
-    } else if (e.key === 'Enter' && (e.target === titleInput || e.ctrlKey)) {
-      e.preventDefault();
-      saveItemEdit(li);
-    }
-  };
+  [PRIORITIES_KEY](local, incoming) {
+    return { ...incoming, ...local };
+  },
 
-  if (titleInput) {
-    titleInput.addEventListener('keydown', handleKeydown);
-    titleInput.addEventListener('click', (e) => e.stopPropagation());
-  }
-  if (textarea) {
-    textarea.addEventListener('keydown', handleKeydown);
-    textarea.addEventListener('click', (e) => e.stopPropagation());
+  [FINANCE_KEY](local, incoming) {
+    // Fill in figures that were never entered locally
+    const merged = { ...local };
+    Object.entries(incoming).forEach(([field, value]) => {
+      if (merged[field] === null || merged[field] === undefined) merged[field] = value;
+    });
+    return merged;
   }
+};
 
-  return li;
-}
-
-/**
- * Enters edit mode for a checklist item
- * @param {HTMLElement} li - The list item element
- * @param {string} itemId - Item identifier
- */
 /**
- * Enters edit mode for a checklist item
- * @param {HTMLElement} li - The list item element
+ * Checks if a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean}
  */
-function enterEditMode(li) {
-  li.classList.add('checklist__item--editing');
-  const titleInput = li.querySelector('.checklist__edit-input--title');
-  if (titleInput) {
-    titleInput.focus();
-    titleInput.select();
-  }
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
 /**
- * Exits edit mode without saving
- * @param {HTMLElement} li - The list item element
+ * Checks if a value is an object whose every value passes a check
+ * @param {*} value - Value to check
+ * @param {Function} check - Receives each value, returns whether it is valid
+ * @returns {boolean}
  */
-function exitEditMode(li) {
-  li.classList.remove('checklist__item--editing');
-
-  // Revert changes logic: re-render the section from source of truth
-  const sectionKey = li.dataset.sectionKey;
-  if (sectionKey) {
-    reRenderSection(sectionKey);
-  }
+function isRecordOf(value, check) {
+  return isPlainObject(value) && Object.values(value).every(check);
 }
 
 /**
- * Saves the edited content
- * @param {HTMLElement} li - The list item element
+ * Expected shape of each stored key, keyed by base storage key
+ * Every key of an imported backup must pass its check before anything is written
  */
-function saveItemEdit(li) {
-  const titleInput = li.querySelector('.checklist__edit-input--title');
-  const descTextarea = li.querySelector('.checklist__edit-textarea');
+const BACKUP_SHAPES = {
+  [THEME_KEY]: data => typeof data === 'string',
+  [PROPERTIES_KEY]: data => isPlainObject(data) && Array.isArray(data.properties) &&
+    data.properties.every(p => isPlainObject(p) && typeof p.id === 'string' && typeof p.name === 'string'),
+  [STORAGE_KEY]: data => isPlainObject(data) && (data.items === undefined || isRecordOf(data.items, isPlainObject)),
+  [NOTES_KEY]: data => isRecordOf(data, notes => Array.isArray(notes) &&
+    notes.every(note => isPlainObject(note) && typeof note.id === 'string' && typeof note.text === 'string')),
+  [STRUCTURE_KEY]: data => isRecordOf(data, subsections => Array.isArray(subsections) &&
+    subsections.every(subsection => isPlainObject(subsection) && typeof subsection.title === 'string' &&
+      Array.isArray(subsection.items) &&
+      subsection.items.every(item => isPlainObject(item) && typeof item.id === 'string' && typeof item.text === 'string'))),
+  [TEMPLATE_KEY]: data => isRecordOf(data, isPlainObject),
+  [CUSTOM_KEY]: data => isRecordOf(data, entry => isPlainObject(entry) && typeof entry.text === 'string'),
+  [PRIORITIES_KEY]: data => isRecordOf(data, isPlainObject),
+  [COLLAPSED_KEY]: data => Array.isArray(data),
+  [VIEW_FILTER_KEY]: isPlainObject,
+  [FINANCE_KEY]: isPlainObject,
+  // Individual records are checked when read, see isComparableRecord()
+  [COMPARABLES_KEY]: data => isPlainObject(data) && Array.isArray(data.records)
+};
 
-  const newText = titleInput.value.trim();
-  const newDesc = descTextarea.value.trim();
+/**
+ * Backup manager for exporting and importing all app data
+ */
+const BackupManager = {
+  /**
+   * Collects every persisted key into one versioned document
+   * @returns {Object}
+   */
+  collect() {
+    const data = {};
+    getStoredKeys().forEach(key => {
+      data[key] = this.parseValue(localStorage.getItem(key));
+    });
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      data
+    };
+  },
 
-  if (!newText) {
-    titleInput.focus();
-    return;
-  }
+  /**
+   * Parses a stored value, keeping plain strings (e.g. the theme) as-is
+   * @param {string} raw - Raw localStorage value
+   * @returns {*}
+   */
+  parseValue(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return raw;
+    }
+  },
 
-  const sectionKey = li.dataset.sectionKey;
-  const subsectionIndex = parseInt(li.dataset.subsectionIndex);
-  const itemId = li.dataset.itemId;
+  /**
+   * Downloads all data as a JSON file
+   */
+  export() {
+    const backup = this.collect();
+    const date = backup.exportedAt.slice(0, 10);
+    downloadFile(`house-buying-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+  },
 
-  if (AppState.updateItemContent(sectionKey, subsectionIndex, itemId, newText, newDesc)) {
-    reRenderSection(sectionKey);
+  /**
+   * Validates a parsed backup document, including the shape of every key
+   * @param {Object} backup - Parsed backup
+   * @throws {Error} - With a user-facing message when the file is not usable
+   */
+  validate(backup) {
+    if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+      throw new Error('這不是買房紀錄的備份檔。');
+    }
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+      throw new Error(`不支援的備份版本：${backup.version}，請更新網頁後再試。`);
+    }
+    if (!isPlainObject(backup.data)) {
+      throw new Error('備份檔缺少資料內容。');
+    }
+
+    Object.keys(backup.data).forEach(key => {
+      if (!key.startsWith(STORAGE_PREFIX) || !BACKUP_SHAPES[key.split(':')[0]]) {
+        throw new Error(`備份檔包含未知的資料：${key}`);
+      }
+    });
+    if (backup.data[PROPERTIES_KEY] === undefined) {
+      throw new Error('備份檔缺少物件清單。');
+    }
+
+    Object.entries(this.payloads(backup)).forEach(([key, data]) => {
+      if (!BACKUP_SHAPES[key.split(':')[0]](data)) {
+        throw new Error(key === PROPERTIES_KEY ? '備份檔的物件資料格式不正確。' : `備份檔的資料格式不正確：${key}`);
+      }
+    });
+  },
+
+  /**
+   * Gets every key of a backup upgraded to the current schema
+   * @param {Object} backup - Parsed backup
+   * @returns {Object} - { [key]: payload }
+   * @throws {StorageError} - When a key cannot be upgraded
+   */
+  payloads(backup) {
+    // Migrations may change payloads in place, so work on a copy
+    const data = JSON.parse(JSON.stringify(backup.data));
+    const payloads = {};
+    const linkedPropertyIds = new Set();
+    Object.entries(data).forEach(([key, value]) => {
+      const [baseKey, propertyId] = key.split(':');
+      if (RAW_STORAGE_KEYS.includes(key)) {
+        payloads[key] = value;
+      } else if (propertyId && LINKED_KEYS.includes(baseKey)) {
+        linkedPropertyIds.add(propertyId);
+      } else {
+        payloads[key] = StorageManager.upgrade(key, value);
+      }
+    });
+
+    // Linked keys are upgraded together and may gain keys the backup lacks
+    linkedPropertyIds.forEach(propertyId => {
+      Object.entries(StorageManager.upgradeLinked(propertyId, data)).forEach(([key, payload]) => {
+        if (payload !== null) payloads[key] = payload;
+      });
+    });
+    return payloads;
+  },
+
+  /**
+   * Summarizes what an import would change
+   * @param {Object} backup - Validated backup
+   * @returns {Object} - { properties: [{ name, isNew, items, notes }], localOnly: [names] }
+   */
+  preview(backup) {
+    const payloads = this.payloads(backup);
+    const incoming = payloads[PROPERTIES_KEY].properties;
+    const incomingIds = new Set(incoming.map(p => p.id));
+
+    const properties = incoming.map(property => {
+      const records = payloads[`${STORAGE_KEY}:${property.id}`];
+      const notes = payloads[`${NOTES_KEY}:${property.id}`] || {};
+      return {
+        name: property.name,
+        isNew: !AppState.getProperty(property.id),
+        items: records && records.items ? Object.keys(records.items).length : 0,
+        notes: Object.values(notes).reduce((sum, list) => sum + list.length, 0)
+      };
+    });
+
+    const localOnly = AppState.properties
+      .filter(p => !incomingIds.has(p.id))
+      .map(p => p.name);
+
+    return { properties, localOnly };
+  },
+
+  /**
+   * Works out every value an import writes before any of them is written
+   * @param {Object} backup - Validated backup
+   * @param {string} mode - 'replace' or 'merge'
+   * @returns {Object} - { [key]: payload, or a plain string for raw keys }
+   */
+  build(backup, mode) {
+    const payloads = this.payloads(backup);
+    const result = {};
+
+    Object.entries(payloads).forEach(([key, payload]) => {
+      const hasLocal = mode === 'merge' && localStorage.getItem(key) !== null;
+
+      // Plain-string settings such as the theme are kept as they are on this device
+      if (RAW_STORAGE_KEYS.includes(key)) {
+        if (!hasLocal) result[key] = payload;
+        return;
+      }
+
+      if (hasLocal) {
+        const local = StorageManager.read(key);
+        const merger = BACKUP_MERGERS[key.split(':')[0]];
+        // Without a merge strategy, local data wins
+        result[key] = merger ? merger(local, payload) : local;
+      } else {
+        result[key] = payload;
+      }
+    });
+    return result;
+  },
+
+  /**
+   * Writes a backup into localStorage
+   * The whole result is built first, so a failure leaves existing data untouched
+   * @param {Object} backup - Validated backup
+   * @param {string} mode - 'replace' wipes existing data first, 'merge' combines both
+   */
+  apply(backup, mode) {
+    const result = this.build(backup, mode);
+
+    if (mode === 'replace') {
+      getStoredKeys().forEach(key => localStorage.removeItem(key));
+    }
+    Object.entries(result).forEach(([key, value]) => {
+      if (RAW_STORAGE_KEYS.includes(key)) {
+        localStorage.setItem(key, value);
+      } else {
+        StorageManager.write(key, value);
+      }
+    });
   }
+};
+
+/**
+ * Triggers a browser download of generated content
+ * @param {string} filename - Download file name
+ * @param {string|Blob} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 /**
- * Handles checklist item click
- * @param {HTMLElement} element - The clicked element
- * @param {string} itemId - Item identifier
- * @param {string} sectionKey - Section key
+ * Reads a backup file and shows the import preview
+ * @param {File} file - Selected file
  */
-function handleItemClick(element, itemId, sectionKey) {
-  const isChecked = AppState.toggleItem(itemId);
-  element.classList.toggle('checklist__item--checked', isChecked);
-  updateTotalProgress();
-  updateSectionProgress(sectionKey);
+async function handleBackupFile(file) {
+  let backup;
+  let summary;
+  try {
+    backup = JSON.parse(await file.text());
+    BackupManager.validate(backup);
+    summary = BackupManager.preview(backup);
+  } catch (error) {
+    const message = error instanceof SyntaxError ? '檔案不是有效的 JSON。' : error.message;
+    window.alert(`無法匯入備份：${message}`);
+    return;
+  }
+  openImportPreview(backup, summary);
 }
 
 /**
- * Updates progress for a specific section
- * @param {string} sectionKey - Section identifier (e.g. 'viewing')
+ * Shows what an import will change and lets the user replace or merge
+ * @param {Object} backup - Validated backup
+ * @param {Object} summary - Result of BackupManager.preview()
  */
-function updateSectionProgress(sectionKey) {
-  // If sectionKey comes in as 'section-viewing', strip prefix
-  const key = sectionKey.replace('section-', '');
-  const sectionId = `section-${key}`;
+function openImportPreview(backup, summary) {
+  const { properties, localOnly } = summary;
+  const exportedAt = new Date(backup.exportedAt).toLocaleString('zh-TW');
+
+  const container = document.createElement('div');
+  container.className = 'import-preview';
+  container.innerHTML = `
+    <p class="import-preview__meta">備份時間：${escapeHtml(exportedAt)}</p>
+    <ul class="import-preview__list">
+      ${properties.map(p => `
+        <li class="import-preview__row">
+          <span class="import-preview__tag${p.isNew ? ' import-preview__tag--new' : ''}">${p.isNew ? '新增' : '已存在'}</span>
+          <span class="import-preview__name">${escapeHtml(p.name)}</span>
+          <span class="import-preview__counts">${p.items} 項評估 · ${p.notes} 則註記</span>
+        </li>
+      `).join('')}
+    </ul>
+    ${localOnly.length > 0 ? `
+      <p class="import-preview__warning">
+        本機另有 ${localOnly.length} 個物件（${localOnly.map(escapeHtml).join('、')}），
+        選擇「取代」將會刪除它們。
+      </p>
+    ` : ''}
+    <p class="import-preview__hint">
+      <strong>合併</strong>：保留本機資料，加入備份中的新物件與註記，同一項目以較新的評估為準。<br>
+      <strong>取代</strong>：清除本機所有資料，完全使用備份內容。
+    </p>
+    <div class="import-preview__actions">
+      <button type="button" class="import-preview__btn" data-mode="merge">合併</button>
+      <button type="button" class="import-preview__btn import-preview__btn--danger" data-mode="replace">取代</button>
+    </div>
+  `;
 
-  // Calculate progress from structure
-  const structure = AppState.getSectionStructure(key);
-  let total = 0;
-  let checked = 0;
+  const modal = openModal({ title: '匯入備份', body: container });
 
-  structure.forEach(subsection => {
-    subsection.items.forEach(item => {
-      total++;
-      if (AppState.isChecked(item.id)) {
-        checked++;
+  container.querySelectorAll('.import-preview__btn').forEach(button => {
+    button.addEventListener('click', () => {
+      const mode = button.dataset.mode;
+      if (mode === 'replace' && !window.confirm('確定要以備份取代目前所有資料嗎？此操作無法復原。')) {
+        return;
       }
+      try {
+        BackupManager.apply(backup, mode);
+      } catch (error) {
+        window.alert(`無法匯入備份：${error.message}`);
+        return;
+      }
+      modal.close();
+      reloadAppState();
     });
   });
-
-  const percentage = total > 0 ? (checked / total) * 100 : 0;
-
-  // Update Bento Card
-  const cards = document.querySelectorAll('.bento__item--card');
-  cards.forEach(card => {
-    if (card.dataset.section === sectionId) {
-      const barFill = card.querySelector('.card-bento__bar-fill');
-      const stats = card.querySelector('.card-bento__stats');
-      if (barFill) barFill.style.width = `${percentage}%`;
-      if (stats) stats.textContent = `${checked}/${total}`;
-    }
-  });
 }
 
 /**
- * Helper to re-render a section after changes
+ * Reloads all state from localStorage and re-renders the page
+ * Data that cannot be loaded sends the user to the recovery screen
  */
-function reRenderSection(sectionKey) {
-  const sectionId = `section-${sectionKey}`;
-  initializeSection(sectionId, sectionKey);
+function reloadAppState() {
+  try {
+    AppState.load();
+  } catch (error) {
+    showRecoveryScreen(error);
+    return;
+  }
+  HistoryManager.clear();
+  ThemeManager.init();
+  refreshPropertyView();
+  renderViewFilter();
 }
 
 /**
- * Simple Markdown parser for notes
- * Supports: **bold**, *italic*, `code`, [links](url), - lists, > quotes
- * @param {string} text - Markdown text
- * @returns {string} - HTML output
+ * Sets up the backup export and import buttons
  */
-function parseMarkdown(text) {
-  if (!text) return '';
-
-  let html = escapeHtml(text);
-
-  // Code blocks (inline)
-  html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-
-  // Bold
-  html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-
-  // Italic
-  html = html.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-
-  // Links [text](url)
-  html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
-
-  // Line breaks
-  html = html.replace(/\n/g, '<br>');
+function setupBackup() {
+  const exportBtn = document.getElementById('backup-export');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', () => BackupManager.export());
+  }
 
-  // Lists (simple - at start of line after break or start)
-  html = html.replace(/(^|<br>)- (.+?)(?=<br>|$)/g, '$1<span class="md-list-item">• $2</span>');
+  const importBtn = document.getElementById('backup-import');
+  const fileInput = document.getElementById('backup-file');
+  if (importBtn && fileInput) {
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        handleBackupFile(fileInput.files[0]);
+      }
+      // Allow choosing the same file again
+      fileInput.value = '';
+    });
+  }
+}
 
-  // Quotes (> at start)
-  html = html.replace(/(^|<br>)&gt; (.+?)(?=<br>|$)/g, '$1<blockquote class="md-quote">$2</blockquote>');
+// ========================================
+// Template Updates
+// ========================================
 
-  return html;
+/**
+ * Checks if an item was added by the user rather than the template
+ * @param {string} itemId - Item identifier
+ * @returns {boolean}
+ */
+function isCustomItemId(itemId) {
+  return itemId.startsWith('custom_');
 }
 
 /**
- * Creates a note item element with Markdown support and edit functionality
- * @param {Object} note - Note data
- * @param {string} sectionId - Section identifier
- * @returns {HTMLElement}
+ * Indexes the items of a structure by ID, with enough context to re-insert them
+ * @param {Object} structure - Checklist structure keyed by section
+ * @param {Function} [filter] - Receives an item ID, returns whether to include it
+ * @returns {Object} - { [itemId]: { sectionKey, subsectionTitle, subsectionIcon, previousId, text, description, weight, dealBreaker } }
  */
-function createNoteItem(note, sectionId) {
-  const li = document.createElement('li');
-  li.className = 'note-item';
-  li.dataset.noteId = note.id;
-
-  const createdDate = new Date(note.createdAt);
-  const formattedDate = createdDate.toLocaleDateString('zh-TW', {
-    month: 'short',
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
+function indexTemplate(structure, filter = () => true) {
+  const index = {};
+  Object.entries(structure).forEach(([sectionKey, subsections]) => {
+    subsections.forEach(subsection => {
+      let previousId = null;
+      subsection.items.forEach(item => {
+        if (filter(item.id)) {
+          index[item.id] = {
+            sectionKey,
+            subsectionTitle: subsection.title,
+            subsectionIcon: subsection.icon,
+            previousId,
+            text: item.text,
+            description: item.description || '',
+            weight: item.weight ?? null,
+            dealBreaker: item.dealBreaker ?? null
+          };
+        }
+        previousId = item.id;
+      });
+    });
   });
+  return index;
+}
 
-  li.innerHTML = `
-    <div class="note-item__content">
-      <div class="note-item__text">${parseMarkdown(note.text)}</div>
-      <div class="note-item__time">${formattedDate}</div>
-    </div>
-    <div class="note-item__edit-form">
-      <textarea class="note-item__textarea" placeholder="支援 Markdown：**粗體** *斜體* \`程式碼\` [連結](url)">${escapeHtml(note.text)}</textarea>
-      <div class="note-item__edit-actions">
-        <button type="button" class="note-item__edit-cancel">取消</button>
-        <button type="button" class="note-item__edit-save">儲存</button>
-      </div>
-    </div>
-    <div class="note-item__actions">
-      <button class="note-item__edit" aria-label="編輯註記">✎</button>
-      <button class="note-item__delete" aria-label="刪除註記">✕</button>
-    </div>
-  `;
-
-  // Store original text for cancel
-  li.dataset.originalText = note.text;
-
-  // Handle edit button
-  const editButton = li.querySelector('.note-item__edit');
-  editButton.addEventListener('click', (e) => {
-    e.stopPropagation();
-    enterNoteEditMode(li);
-  });
+/**
+ * Converts an indexed template entry back into a checklist item
+ * @param {string} itemId - Item identifier
+ * @param {Object} entry - Entry from indexTemplate()
+ * @returns {Object}
+ */
+function templateEntryToItem(itemId, entry) {
+  const item = { id: itemId, text: entry.text, description: entry.description };
+  if (entry.weight !== null) item.weight = entry.weight;
+  if (entry.dealBreaker !== null) item.dealBreaker = entry.dealBreaker;
+  return item;
+}
 
-  // Handle delete button
-  const deleteButton = li.querySelector('.note-item__delete');
-  deleteButton.addEventListener('click', (e) => {
-    e.stopPropagation();
-    AppState.deleteNote(sectionId, note.id);
-    li.remove();
-    updateNotesEmptyState(sectionId);
+/**
+ * Moves wording edits of built-in items out of a structure into overlays
+ * @param {Object} structure - Checklist structure, modified in place
+ * @param {Object} reference - Template index holding the original wording
+ * @returns {Object} - Overlays: { [itemId]: { text, description, updatedAt } }
+ */
+function extractCustomItems(structure, reference) {
+  const customItems = {};
+  Object.values(structure).forEach(subsections => {
+    subsections.forEach(subsection => {
+      subsection.items.forEach(item => {
+        const original = reference[item.id];
+        if (isCustomItemId(item.id) || !original) return;
+        if (item.text !== original.text || (item.description || '') !== original.description) {
+          customItems[item.id] = {
+            text: item.text,
+            description: item.description || '',
+            updatedAt: null
+          };
+          item.text = original.text;
+          item.description = original.description;
+        }
+      });
+    });
   });
+  return customItems;
+}
 
-  // Handle save button
-  const saveButton = li.querySelector('.note-item__edit-save');
-  saveButton.addEventListener('click', (e) => {
-    e.stopPropagation();
-    saveNoteEdit(li, sectionId, note.id);
-  });
+/**
+ * Checks if two template entries differ in their content
+ * Position changes alone are not reported as updates
+ */
+function templateEntryChanged(before, after) {
+  return ['text', 'description', 'weight', 'dealBreaker'].some(field => before[field] !== after[field]);
+}
 
-  // Handle cancel button
-  const cancelButton = li.querySelector('.note-item__edit-cancel');
-  cancelButton.addEventListener('click', (e) => {
-    e.stopPropagation();
-    exitNoteEditMode(li);
-  });
+/**
+ * Compares the template baseline of the active property with checklistData
+ * @returns {Array} - Changes: { type: 'added'|'changed'|'removed', id, before, after, edited, present }
+ */
+function diffTemplate() {
+  const baseline = AppState.templateBaseline;
+  const current = indexTemplate(checklistData);
+  const changes = [];
+
+  const describe = (type, id) => {
+    const location = AppState.findItem(id);
+    const before = baseline[id] || null;
+    return {
+      type,
+      id,
+      before,
+      after: current[id] || null,
+      present: Boolean(location),
+      // The user's own wording is an overlay and survives template updates
+      edited: Boolean(AppState.getCustomItem(id))
+    };
+  };
 
-  // Handle Escape key in textarea
-  const textarea = li.querySelector('.note-item__textarea');
-  textarea.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') {
-      exitNoteEditMode(li);
+  Object.keys(current).forEach(id => {
+    if (!baseline[id]) {
+      changes.push(describe('added', id));
+    } else if (templateEntryChanged(baseline[id], current[id])) {
+      changes.push(describe('changed', id));
     }
-    // Ctrl+Enter to save
-    if (e.key === 'Enter' && e.ctrlKey) {
-      e.preventDefault();
-      saveNoteEdit(li, sectionId, note.id);
+  });
+  Object.keys(baseline).forEach(id => {
+    if (!current[id]) {
+      changes.push(describe('removed', id));
     }
   });
 
-  return li;
+  return changes;
 }
 
 /**
- * Enters edit mode for a note
- * @param {HTMLElement} li - Note item element
+ * Shows how many template updates are waiting on the footer button
  */
-function enterNoteEditMode(li) {
-  li.classList.add('note-item--editing');
-  const textarea = li.querySelector('.note-item__textarea');
-  if (textarea) {
-    textarea.focus();
-    // Move cursor to end
-    textarea.selectionStart = textarea.value.length;
-    textarea.selectionEnd = textarea.value.length;
-  }
+function updateTemplateBadge() {
+  const badge = document.getElementById('template-update-count');
+  if (!badge) return;
+  const count = diffTemplate().length;
+  badge.textContent = count > 0 ? count : '';
 }
 
 /**
- * Exits note edit mode without saving
- * @param {HTMLElement} li - Note item element
+ * Opens the template update review for the active property
  */
-function exitNoteEditMode(li) {
-  li.classList.remove('note-item--editing');
-  const textarea = li.querySelector('.note-item__textarea');
-  if (textarea && li.dataset.originalText) {
-    textarea.value = li.dataset.originalText;
-  }
-}
+function openTemplateUpdates() {
+  const changes = diffTemplate();
+  const property = AppState.getActiveProperty();
+  const typeLabels = { added: '新增', changed: '更新', removed: '移除' };
 
-/**
- * Saves note edit
- * @param {HTMLElement} li - Note item element
- * @param {string} sectionId - Section identifier
- * @param {string} noteId - Note identifier
- */
-function saveNoteEdit(li, sectionId, noteId) {
-  const textarea = li.querySelector('.note-item__textarea');
-  const newText = textarea.value.trim();
+  const container = document.createElement('div');
+  container.className = 'template-updates';
 
-  if (!newText) {
-    textarea.focus();
+  if (changes.length === 0) {
+    container.innerHTML = '<p class="template-updates__empty">目前的清單已是最新的範本。</p>';
+    openModal({ title: '範本更新', body: container });
     return;
   }
 
-  // Update in state
-  AppState.updateNote(sectionId, noteId, newText);
+  const rows = changes.map((change, index) => {
+    const entry = change.after || change.before;
+    let detail = '';
+    if (change.type === 'changed') {
+      detail = `
+        <div class="template-updates__diff">
+          <span class="template-updates__old">${escapeHtml(change.before.text)}：${escapeHtml(change.before.description)}</span>
+          <span class="template-updates__new">${escapeHtml(change.after.text)}：${escapeHtml(change.after.description)}</span>
+        </div>
+      `;
+    } else {
+      detail = `<div class="template-updates__desc">${escapeHtml(entry.description)}</div>`;
+    }
 
-  // Update display
-  const textEl = li.querySelector('.note-item__text');
-  textEl.innerHTML = parseMarkdown(newText);
+    let warning = '';
+    if (change.type === 'changed' && change.edited) {
+      warning = '<div class="template-updates__warning">你已修改過此項目，套用後仍會顯示你的版本，還原時改用新範本內容。</div>';
+    } else if (change.type === 'changed' && !change.present) {
+      warning = '<div class="template-updates__warning">此項目已從你的清單刪除，套用僅會更新紀錄。</div>';
+    } else if (change.type === 'removed' && !change.present) {
+      warning = '<div class="template-updates__warning">此項目已不在你的清單中。</div>';
+    } else if (change.type === 'removed') {
+      warning = '<div class="template-updates__warning">套用後會從清單移除此項目及其評估。</div>';
+    }
 
-  // Update original text for future cancels
-  li.dataset.originalText = newText;
+    return `
+      <li class="template-updates__row template-updates__row--${change.type}">
+        <label class="template-updates__check">
+          <input type="checkbox" data-index="${index}"${change.type === 'removed' ? '' : ' checked'} />
+        </label>
+        <div class="template-updates__info">
+          <div class="template-updates__title">
+            <span class="template-updates__tag">${typeLabels[change.type]}</span>
+            ${escapeHtml(entry.text)}
+            <span class="template-updates__where">${SECTION_TITLES[entry.sectionKey] || entry.sectionKey} · ${escapeHtml(entry.subsectionTitle)}</span>
+          </div>
+          ${detail}
+          ${warning}
+        </div>
+      </li>
+    `;
+  }).join('');
+
+  container.innerHTML = `
+    <p class="template-updates__intro">
+      預設清單有 ${changes.length} 項變動，勾選要套用到「${escapeHtml(property.name)}」的項目。
+      你自訂的項目與分類不受影響。
+    </p>
+    <ul class="template-updates__list">${rows}</ul>
+    <div class="template-updates__actions">
+      <button type="button" class="template-updates__btn template-updates__btn--secondary" data-action="skip-rest">套用並略過其餘</button>
+      <button type="button" class="template-updates__btn" data-action="apply">套用勾選項目</button>
+    </div>
+  `;
 
-  // Exit edit mode
-  li.classList.remove('note-item--editing');
+  const modal = openModal({ title: '範本更新', body: container, className: 'modal--wide' });
+
+  container.querySelectorAll('.template-updates__btn').forEach(button => {
+    button.addEventListener('click', () => {
+      const skipRest = button.dataset.action === 'skip-rest';
+      container.querySelectorAll('input[data-index]').forEach(input => {
+        const change = changes[parseInt(input.dataset.index, 10)];
+        if (input.checked) {
+          AppState.applyTemplateChange(change);
+        } else if (skipRest) {
+          AppState.skipTemplateChange(change);
+        }
+      });
+      modal.close();
+      renderAllSections();
+      updateTotalProgress();
+      updateTemplateBadge();
+    });
+  });
 }
 
+// ========================================
+// Attachments
+// ========================================
+
+const ATTACHMENT_DB = 'houseBuyingAttachments';
+const ATTACHMENT_STORE = 'attachments';
+const ATTACHMENT_MAX_SIZE = 20 * 1024 * 1024;
+const ATTACHMENT_ACCEPT = 'image/*,application/pdf';
+const THUMBNAIL_SIZE = 240;
+
 /**
- * Escapes HTML special characters
- * @param {string} text - Text to escape
- * @returns {string}
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} - The request's result
  */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
 }
 
 /**
- * Updates the empty state for notes
- * @param {string} sectionId - Section identifier
+ * Photos and PDFs attached to checklist items and notes
+ * Files are kept in IndexedDB since localStorage cannot hold photos. Metadata of
+ * the active property is cached so items can render their thumbnails right away.
+ * Owners are keys like "item:v12" or "note:1700000000000".
  */
-function updateNotesEmptyState(sectionId) {
-  const section = document.getElementById(sectionId);
-  if (!section) return;
+const AttachmentStore = {
+  dbPromise: null,
+  cache: new Map(), // Owner key → attachment metadata (no file data) of the active property
 
-  const notesList = section.querySelector('.notes-list');
-  const notes = AppState.getNotes(sectionId);
+  /**
+   * Opens the database, creating it on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('此瀏覽器不支援 IndexedDB，無法儲存附件。'));
+          return;
+        }
+        const request = indexedDB.open(ATTACHMENT_DB, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(ATTACHMENT_STORE, { keyPath: 'id' });
+          store.createIndex('propertyId', 'propertyId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call try again instead of caching the failure
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  },
 
-  if (!notesList) return;
+  /**
+   * Gets the object store in a new transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @returns {Promise<IDBObjectStore>}
+   */
+  async store(mode) {
+    const db = await this.open();
+    return db.transaction(ATTACHMENT_STORE, mode).objectStore(ATTACHMENT_STORE);
+  },
 
-  const existingEmpty = notesList.querySelector('.notes-list__empty');
+  /**
+   * Strips the file data from a stored record
+   * @param {Object} record - Stored attachment
+   * @returns {Object} - { id, owner, name, type, size, thumbnail, createdAt }
+   */
+  toMeta({ blob, propertyId, ...meta }) {
+    return meta;
+  },
 
-  if (notes.length === 0 && !existingEmpty) {
-    const emptyEl = document.createElement('li');
-    emptyEl.className = 'notes-list__empty';
-    emptyEl.textContent = '尚無註記，在上方輸入新增...';
-    notesList.appendChild(emptyEl);
-  } else if (notes.length > 0 && existingEmpty) {
-    existingEmpty.remove();
-  }
-}
+  /**
+   * Loads the metadata of one property's attachments into the cache
+   * @param {string} propertyId - Property ID
+   */
+  async loadProperty(propertyId) {
+    const store = await this.store('readonly');
+    const records = await idbRequest(store.index('propertyId').getAll(propertyId));
+
+    this.cache = new Map();
+    records
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach(record => {
+        const list = this.cache.get(record.owner) || [];
+        list.push(this.toMeta(record));
+        this.cache.set(record.owner, list);
+      });
+  },
 
-/**
- * Creates my insights section from notes.js file
- * @param {string} sectionId - Section identifier
- * @returns {HTMLElement|null}
- */
-function createMyInsightsSection(sectionId) {
-  // Check if notes.js is loaded and has notes for this section
-  if (typeof myNotes === 'undefined' || !myNotes[sectionId]) {
-    return null;
-  }
+  /**
+   * Lists an owner's attachments from the cache
+   * @param {string} owner - Owner key
+   * @returns {Array}
+   */
+  list(owner) {
+    return this.cache.get(owner) || [];
+  },
 
-  const notes = myNotes[sectionId];
-  if (!notes || notes.length === 0) {
-    return null;
-  }
+  /**
+   * Stores a file for an owner in the active property
+   * @param {string} owner - Owner key
+   * @param {File} file - Image or PDF
+   * @returns {Promise<Object>} - Metadata of the new attachment
+   */
+  async add(owner, file) {
+    if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+      throw new Error(`「${file.name}」不是圖片或 PDF。`);
+    }
+    if (file.size > ATTACHMENT_MAX_SIZE) {
+      throw new Error(`「${file.name}」超過 ${formatBytes(ATTACHMENT_MAX_SIZE)}。`);
+    }
 
-  const insightsSection = document.createElement('div');
-  insightsSection.className = 'insights-section';
+    const record = {
+      id: `att_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      propertyId: AppState.activePropertyId,
+      owner,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      thumbnail: file.type.startsWith('image/') ? await createThumbnail(file) : null,
+      createdAt: new Date().toISOString(),
+      blob: file
+    };
 
-  // Create magazine-style header
-  const header = document.createElement('div');
-  header.className = 'insights-section__header';
-  header.innerHTML = `
-    <div class="insights-section__masthead">
-      <span class="insights-section__label">PERSONAL INSIGHTS</span>
-      <h3 class="insights-section__title">MY NOTES</h3>
-      <div class="insights-section__divider"></div>
-    </div>
-    <span class="insights-section__edit-hint">✎ notes.js</span>
-  `;
-  insightsSection.appendChild(header);
+    const store = await this.store('readwrite');
+    await idbRequest(store.put(record));
 
-  // Create notes grid
-  const notesGrid = document.createElement('div');
-  notesGrid.className = 'insights-grid';
+    const meta = this.toMeta(record);
+    this.cache.set(owner, this.list(owner).concat(meta));
+    return meta;
+  },
 
-  notes.forEach((note, index) => {
-    const article = document.createElement('article');
+  /**
+   * Reads an attachment's file
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Blob|null>}
+   */
+  async getBlob(id) {
+    const store = await this.store('readonly');
+    const record = await idbRequest(store.get(id));
+    return record ? record.blob : null;
+  },
 
-    // Determine style class
-    if (note.featured) {
-      article.className = 'insight-card insight-card--featured';
-    } else if (note.quote) {
-      article.className = 'insight-card insight-card--quote';
-    } else {
-      article.className = 'insight-card';
-    }
+  /**
+   * Deletes an attachment
+   * @param {string} id - Attachment ID
+   */
+  async remove(id) {
+    const store = await this.store('readwrite');
+    await idbRequest(store.delete(id));
 
-    // Create inner content
-    let contentHTML = '';
+    this.cache.forEach((list, owner) => {
+      this.cache.set(owner, list.filter(meta => meta.id !== id));
+    });
+  },
 
-    if (note.featured) {
-      // Featured style - large hero text
-      contentHTML = `
-        <div class="insight-card__featured-badge">FEATURED</div>
-        <h4 class="insight-card__title insight-card__title--featured">${note.title}</h4>
-        <p class="insight-card__text insight-card__text--featured">${Array.isArray(note.content) ? note.content.join(' ') : note.content}</p>
-      `;
-    } else if (note.quote) {
-      // Quote style - editorial pull quote
-      contentHTML = `
-        <div class="insight-card__quote-mark">"</div>
-        <blockquote class="insight-card__blockquote">${Array.isArray(note.content) ? note.content.join(' ') : note.content}</blockquote>
-        <cite class="insight-card__cite">— ${note.title}</cite>
-      `;
-    } else {
-      // Standard style
-      let bodyContent = '';
-      if (Array.isArray(note.content)) {
-        bodyContent = note.content.map(line => {
-          if (line === '') return '<div class="insight-card__spacer"></div>';
-          return `<p class="insight-card__line">${line}</p>`;
-        }).join('');
-      } else {
-        bodyContent = `<p class="insight-card__line">${note.content}</p>`;
-      }
+  /**
+   * Finds attachments whose property or owner no longer exists
+   * @param {Map<string, Set<string>>} ownersByProperty - Live owner keys per property ID
+   * @returns {Promise<Array>} - { id, size } of each orphaned attachment
+   */
+  async findOrphans(ownersByProperty) {
+    const store = await this.store('readonly');
+    const records = await idbRequest(store.getAll());
+    return records
+      .filter(record => {
+        const owners = ownersByProperty.get(record.propertyId);
+        return !owners || !owners.has(record.owner);
+      })
+      .map(record => ({ id: record.id, size: record.size || 0 }));
+  },
 
-      contentHTML = `
-        <span class="insight-card__number">${String(index + 1).padStart(2, '0')}</span>
-        <h4 class="insight-card__title">${note.title}</h4>
-        <div class="insight-card__body">${bodyContent}</div>
-      `;
-    }
+  /**
+   * Deletes several attachments at once
+   * @param {Array<string>} ids - Attachment IDs
+   */
+  async removeMany(ids) {
+    const store = await this.store('readwrite');
+    await Promise.all(ids.map(id => idbRequest(store.delete(id))));
+  },
 
-    article.innerHTML = contentHTML;
-    notesGrid.appendChild(article);
-  });
+  /**
+   * Sums up what all attachments take
+   * @returns {Promise<Object>} - { count, bytes }
+   */
+  async usage() {
+    const store = await this.store('readonly');
+    const records = await idbRequest(store.getAll());
+    return {
+      count: records.length,
+      bytes: records.reduce((sum, record) => sum + (record.size || 0), 0)
+    };
+  }
+};
 
-  insightsSection.appendChild(notesGrid);
-  return insightsSection;
+/**
+ * Builds the owner key of an item's or note's attachments
+ * @param {string} type - 'item' or 'note'
+ * @param {string} id - Item or note ID
+ * @returns {string}
+ */
+function attachmentOwner(type, id) {
+  return `${type}:${id}`;
 }
 
 /**
- * Creates a notes section element
- * @param {string} sectionId - Section identifier
- * @returns {HTMLElement}
+ * Collects the owner keys still in use by every property
+ * @returns {Map<string, Set<string>>}
  */
-function createNotesSection(sectionId) {
-  const notesSection = document.createElement('div');
-  notesSection.className = 'notes-section';
-
-  notesSection.innerHTML = `
-    <div class="notes-section__header">
-      <h4 class="notes-section__title">
-        <span class="notes-section__title-icon">📝</span>
-        我的註記
-      </h4>
-    </div>
-    <form class="note-form">
-      <input type="text" class="note-form__input" placeholder="輸入註記內容..." />
-      <button type="submit" class="note-form__button">新增</button>
-    </form>
-    <ul class="notes-list"></ul>
-  `;
+function collectAttachmentOwners() {
+  const ownersByProperty = new Map();
+
+  AppState.properties.forEach(property => {
+    const isActive = property.id === AppState.activePropertyId;
+    const structure = isActive
+      ? AppState.structure
+      : StorageManager.read(AppState.scopedKey(STRUCTURE_KEY, property.id)) || checklistData;
+    const notes = isActive
+      ? AppState.notes
+      : StorageManager.read(AppState.scopedKey(NOTES_KEY, property.id)) || {};
+
+    const owners = new Set();
+    Object.values(structure).forEach(subsections => {
+      subsections.forEach(subsection => {
+        subsection.items.forEach(item => owners.add(attachmentOwner('item', item.id)));
+      });
+    });
+    Object.values(notes).forEach(sectionNotes => {
+      sectionNotes.forEach(note => owners.add(attachmentOwner('note', note.id)));
+    });
+    ownersByProperty.set(property.id, owners);
+  });
 
-  const form = notesSection.querySelector('.note-form');
-  const input = notesSection.querySelector('.note-form__input');
-  const notesList = notesSection.querySelector('.notes-list');
+  return ownersByProperty;
+}
 
-  // Load existing notes
-  const existingNotes = AppState.getNotes(sectionId);
-  existingNotes.forEach(note => {
-    notesList.appendChild(createNoteItem(note, sectionId));
+/**
+ * Scales an image down to a small JPEG data URL
+ * @param {File} file - Image file
+ * @returns {Promise<string|null>} - Data URL, or null if the browser cannot decode it
+ */
+function createThumbnail(file) {
+  return new Promise(resolve => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.width * scale));
+      canvas.height = Math.max(1, Math.round(image.height * scale));
+      const context = canvas.getContext('2d');
+      if (context) context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(context ? canvas.toDataURL('image/jpeg', 0.7) : null);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    image.src = url;
   });
+}
 
-  // Add empty state if no notes
-  if (existingNotes.length === 0) {
-    const emptyEl = document.createElement('li');
-    emptyEl.className = 'notes-list__empty';
-    emptyEl.textContent = '尚無註記，在上方輸入新增...';
-    notesList.appendChild(emptyEl);
-  }
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
 
-  // Handle form submission
-  form.addEventListener('submit', (e) => {
-    e.preventDefault();
-    const text = input.value.trim();
-    if (text) {
-      const note = AppState.addNote(sectionId, text);
+/**
+ * Creates the thumbnail strip of an item or note
+ * @param {string} owner - Owner key
+ * @returns {HTMLElement}
+ */
+function createAttachmentList(owner) {
+  const list = document.createElement('div');
+  list.className = 'attachments';
+  list.dataset.owner = owner;
+  renderAttachmentList(list);
 
-      // Remove empty state if exists
-      const emptyEl = notesList.querySelector('.notes-list__empty');
-      if (emptyEl) {
-        emptyEl.remove();
+  list.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const thumb = e.target.closest('.attachments__thumb');
+    const removeBtn = e.target.closest('.attachments__remove');
+
+    if (removeBtn) {
+      const meta = AttachmentStore.list(owner).find(a => a.id === removeBtn.dataset.id);
+      if (meta && window.confirm(`確定要刪除附件「${meta.name}」嗎？`)) {
+        AttachmentStore.remove(meta.id)
+          .then(() => {
+            refreshAttachmentLists(owner);
+            updateAttachmentUsage();
+          })
+          .catch(error => window.alert(`無法刪除附件：${error.message}`));
       }
-
-      notesList.appendChild(createNoteItem(note, sectionId));
-      input.value = '';
+    } else if (thumb) {
+      openAttachmentViewer(owner, Number(thumb.dataset.index));
     }
   });
 
-  return notesSection;
+  return list;
 }
 
 /**
- * Initializes a section with checklist data
- * @param {string} sectionId - Section identifier
- * @param {Array} subsections - Array of subsection data
+ * Fills a thumbnail strip from the attachment cache
+ * @param {HTMLElement} list - Element from createAttachmentList()
  */
+function renderAttachmentList(list) {
+  const attachments = AttachmentStore.list(list.dataset.owner);
+  list.hidden = attachments.length === 0;
+  list.innerHTML = attachments.map((meta, index) => `
+    <div class="attachments__item">
+      <button type="button" class="attachments__thumb" data-index="${index}" title="${escapeHtml(meta.name)}" aria-label="檢視 ${escapeHtml(meta.name)}">
+        ${meta.thumbnail
+          ? `<img class="attachments__image" src="${escapeHtml(meta.thumbnail)}" alt="">`
+          : `<span class="attachments__file">${meta.type === 'application/pdf' ? 'PDF' : '🖼'}</span>`}
+      </button>
+      <button type="button" class="attachments__remove" data-id="${escapeHtml(meta.id)}" aria-label="刪除 ${escapeHtml(meta.name)}">✕</button>
+    </div>
+  `).join('');
+}
+
 /**
- * Initializes a checklist section
- * @param {string} sectionId - Section identifier
- * @param {string} sectionKey - Section key (e.g. 'viewing')
+ * Re-renders the thumbnail strips on the page, optionally only one owner's
+ * @param {string} [owner] - Owner key
  */
-function initializeSection(sectionId, sectionKey) {
-  const section = document.getElementById(sectionId);
-  if (!section) return;
-
+function refreshAttachmentLists(owner) {
+  document.querySelectorAll('.attachments').forEach(list => {
+    if (!owner || list.dataset.owner === owner) renderAttachmentList(list);
+  });
+}
+
+/**
+ * Lets the user pick files and attaches them to an owner
+ * On phones the picker also offers the camera
+ * @param {string} owner - Owner key
+ */
+function pickAttachments(owner) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = ATTACHMENT_ACCEPT;
+  input.multiple = true;
+
+  input.addEventListener('change', async () => {
+    const errors = [];
+    for (const file of input.files) {
+      try {
+        await AttachmentStore.add(owner, file);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    refreshAttachmentLists(owner);
+    updateAttachmentUsage();
+    if (errors.length > 0) {
+      window.alert(`部分檔案無法附加：\n${errors.join('\n')}`);
+    }
+  });
+
+  input.click();
+}
+
+/**
+ * Opens the lightbox for an owner's attachments
+ * ArrowLeft/ArrowRight step through them
+ * @param {string} owner - Owner key
+ * @param {number} startIndex - Attachment to show first
+ */
+function openAttachmentViewer(owner, startIndex) {
+  const attachments = AttachmentStore.list(owner);
+  if (attachments.length === 0) return;
+
+  const viewer = document.createElement('div');
+  viewer.className = 'lightbox';
+  viewer.innerHTML = `
+    <div class="lightbox__stage"></div>
+    <div class="lightbox__bar">
+      <button type="button" class="lightbox__nav" data-step="-1" aria-label="上一個">‹</button>
+      <span class="lightbox__caption"></span>
+      <a class="lightbox__download" download>下載</a>
+      <button type="button" class="lightbox__nav" data-step="1" aria-label="下一個">›</button>
+    </div>
+  `;
+
+  const modal = openModal({ title: '附件', body: viewer, className: 'modal--wide modal--lightbox' });
+  const stage = viewer.querySelector('.lightbox__stage');
+  const caption = viewer.querySelector('.lightbox__caption');
+  const download = viewer.querySelector('.lightbox__download');
+  let index = startIndex;
+  let objectUrl = null;
+
+  const show = async () => {
+    const meta = attachments[index];
+    caption.textContent = `${meta.name} · ${formatBytes(meta.size)}（${index + 1}/${attachments.length}）`;
+    viewer.querySelectorAll('.lightbox__nav').forEach(button => {
+      button.disabled = attachments.length < 2;
+    });
+
+    let blob;
+    try {
+      blob = await AttachmentStore.getBlob(meta.id);
+    } catch (error) {
+      stage.innerHTML = `<p class="lightbox__missing">無法讀取這個附件：${escapeHtml(error.message)}</p>`;
+      return;
+    }
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+    objectUrl = blob ? URL.createObjectURL(blob) : null;
+    if (!objectUrl) {
+      stage.innerHTML = '<p class="lightbox__missing">找不到這個附件的檔案。</p>';
+      return;
+    }
+
+    stage.innerHTML = meta.type === 'application/pdf'
+      ? `<iframe class="lightbox__pdf" src="${objectUrl}" title="${escapeHtml(meta.name)}"></iframe>`
+      : `<img class="lightbox__image" src="${objectUrl}" alt="${escapeHtml(meta.name)}">`;
+    download.href = objectUrl;
+    download.setAttribute('download', meta.name);
+  };
+
+  const step = (offset) => {
+    index = (index + offset + attachments.length) % attachments.length;
+    show();
+  };
+
+  viewer.querySelectorAll('.lightbox__nav').forEach(button => {
+    button.addEventListener('click', () => step(Number(button.dataset.step)));
+  });
+  modal.dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowLeft') step(-1);
+    if (e.key === 'ArrowRight') step(1);
+  });
+  modal.dialog.addEventListener('close', () => {
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+  });
+
+  show();
+}
+
+/**
+ * Shows how much space attachments take next to the browser's quota
+ */
+async function updateAttachmentUsage() {
+  const usageEl = document.getElementById('attachment-usage');
+  if (!usageEl) return;
+
+  try {
+    const { count, bytes } = await AttachmentStore.usage();
+    let text = `附件 ${count} 個 · ${formatBytes(bytes)}`;
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      if (quota) {
+        text += `（瀏覽器空間已用 ${Math.round((usage / quota) * 100)}%，共 ${formatBytes(quota)}）`;
+      }
+    }
+    usageEl.textContent = text;
+  } catch (error) {
+    usageEl.textContent = '附件功能無法使用';
+    usageEl.title = error.message;
+  }
+}
+
+/**
+ * Loads the active property's attachments and shows them
+ */
+async function loadAttachments() {
+  try {
+    await AttachmentStore.loadProperty(AppState.activePropertyId);
+    refreshAttachmentLists();
+  } catch (error) {
+    console.warn('Attachments unavailable:', error);
+  }
+  updateAttachmentUsage();
+}
+
+/**
+ * Deletes attachments whose item, note or property no longer exists
+ * Never runs on its own: backups do not include attachments, so after a
+ * reset the photos must survive until the backup has been imported again
+ */
+async function cleanUpAttachments() {
+  let orphans;
+  try {
+    orphans = await AttachmentStore.findOrphans(collectAttachmentOwners());
+  } catch (error) {
+    window.alert(`無法檢查附件：${error.message}`);
+    return;
+  }
+
+  if (orphans.length === 0) {
+    window.alert('沒有需要清理的附件。');
+    return;
+  }
+
+  const bytes = orphans.reduce((sum, orphan) => sum + orphan.size, 0);
+  const message = `有 ${orphans.length} 個附件（${formatBytes(bytes)}）所屬的項目、註記或物件已不存在。\n` +
+    '備份檔不包含附件，如果還要匯入備份，請先匯入再清理。\n\n確定要永久刪除這些附件嗎？';
+  if (!window.confirm(message)) return;
+
+  try {
+    await AttachmentStore.removeMany(orphans.map(orphan => orphan.id));
+  } catch (error) {
+    window.alert(`無法刪除附件：${error.message}`);
+  }
+  updateAttachmentUsage();
+}
+
+// ========================================
+// Property Management
+// ========================================
+
+/**
+ * Formats an asking price given in 萬元
+ * @param {number|null} price - Price in 萬元
+ * @returns {string}
+ */
+function formatPrice(price) {
+  if (price === null || price === undefined || price === '') return '';
+  return `${Number(price).toLocaleString('zh-TW')} 萬`;
+}
+
+/**
+ * Renders the property options in the header switcher
+ */
+function renderPropertySwitcher() {
+  const select = document.getElementById('property-select');
+  if (select) {
+    select.innerHTML = '';
+    AppState.properties.forEach(property => {
+      const option = document.createElement('option');
+      option.value = property.id;
+      option.textContent = property.price
+        ? `${property.name}（${formatPrice(property.price)}）`
+        : property.name;
+      option.selected = property.id === AppState.activePropertyId;
+      select.appendChild(option);
+    });
+  }
+
+  const property = AppState.getActiveProperty();
+  const nameEl = document.getElementById('active-property-name');
+  if (nameEl && property) {
+    nameEl.textContent = property.address ? `${property.name} · ${property.address}` : property.name;
+  }
+}
+
+/**
+ * Switches to another property and re-renders everything that depends on it
+ * @param {string} propertyId - Property identifier
+ */
+function switchToProperty(propertyId) {
+  AppState.switchProperty(propertyId);
+  refreshPropertyView();
+}
+
+/**
+ * Re-renders sections, progress and the switcher for the active property
+ */
+function refreshPropertyView() {
+  renderPropertySwitcher();
+  renderAllSections();
+  updateTotalProgress();
+  updateTemplateBadge();
+  loadAttachments();
+}
+
+/**
+ * Opens the add/edit form for a property
+ * @param {Object|null} property - Property to edit, or null to add a new one
+ */
+function openPropertyForm(property) {
+  const form = document.createElement('form');
+  form.className = 'property-form';
+  form.innerHTML = `
+    <label class="property-form__field">
+      <span class="property-form__label">物件名稱</span>
+      <input type="text" class="property-form__input" name="name" required placeholder="例如：竹北高鐵三房" />
+    </label>
+    <label class="property-form__field">
+      <span class="property-form__label">地址</span>
+      <input type="text" class="property-form__input" name="address" placeholder="縣市、路段" />
+    </label>
+    <label class="property-form__field">
+      <span class="property-form__label">開價（萬元）</span>
+      <input type="number" class="property-form__input" name="price" min="0" step="any" placeholder="例如：2380" />
+    </label>
+    <fieldset class="property-form__section">
+      <legend class="property-form__label">物件資料</legend>
+      <div class="property-form__grid">${renderProfileFields()}</div>
+      <p class="property-form__hint property-form__derived" aria-live="polite"></p>
+    </fieldset>
+    <div class="property-form__actions">
+      ${property ? '<button type="button" class="property-form__delete">刪除物件</button>' : '<span></span>'}
+      <button type="submit" class="property-form__save">${property ? '儲存' : '新增'}</button>
+    </div>
+  `;
+
+  if (property) {
+    form.elements.name.value = property.name;
+    form.elements.address.value = property.address || '';
+    form.elements.price.value = property.price ?? '';
+    Object.keys(PROFILE_FIELDS).forEach(name => {
+      form.elements[name].value = (property.profile || {})[name] ?? '';
+    });
+  }
+
+  const derived = form.querySelector('.property-form__derived');
+  const updateDerived = () => {
+    const price = form.elements.price.value === '' ? null : Number(form.elements.price.value);
+    derived.textContent = describeProfile(computeProfileFigures(price, readProfileFields(form)));
+  };
+  form.addEventListener('input', updateDerived);
+  updateDerived();
+
+  const modal = openModal({ title: property ? '編輯物件' : '新增物件', body: form, className: 'modal--wide' });
+  form.elements.name.focus();
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = form.elements.name.value.trim();
+    if (!name) {
+      form.elements.name.focus();
+      return;
+    }
+    const priceValue = form.elements.price.value;
+    const fields = {
+      name,
+      address: form.elements.address.value,
+      price: priceValue === '' ? null : Number(priceValue),
+      profile: readProfileFields(form)
+    };
+
+    if (property) {
+      AppState.updateProperty(property.id, fields);
+      renderPropertySwitcher();
+      // Profile figures show up in checklist items and tools
+      renderAllSections();
+    } else {
+      AppState.addProperty(fields);
+      refreshPropertyView();
+    }
+    modal.close();
+  });
+
+  const deleteBtn = form.querySelector('.property-form__delete');
+  if (deleteBtn) {
+    deleteBtn.addEventListener('click', () => {
+      if (AppState.properties.length <= 1) {
+        window.alert('至少需要保留一個物件。');
+        return;
+      }
+      if (window.confirm(`確定要刪除「${property.name}」及其所有紀錄嗎？此操作無法復原。`)) {
+        AppState.deleteProperty(property.id);
+        refreshPropertyView();
+        modal.close();
+      }
+    });
+  }
+}
+
+/**
+ * Builds the property comparison table for one section
+ * @param {string} sectionKey - Section key (e.g. 'viewing')
+ * @returns {HTMLElement}
+ */
+function createComparisonTable(sectionKey) {
+  const properties = AppState.properties;
+  const statesByProperty = properties.map(p => AppState.getPropertyItemStates(p.id));
+
+  const table = document.createElement('table');
+  table.className = 'compare-table';
+
+  const profileSummaries = properties.map(p => {
+    const figures = computeProfileFigures(p.price, getPropertyProfile(p));
+    return [
+      figures.unitPrice !== null ? formatUnitPrice(figures.unitPrice) : '',
+      figures.publicRatio !== null ? `公設 ${figures.publicRatio.toFixed(1)}%` : ''
+    ].filter(Boolean).join('・');
+  });
+
+  const headerCells = properties.map((p, i) => `
+    <th class="compare-table__property${p.id === AppState.activePropertyId ? ' compare-table__property--active' : ''}">
+      <span class="compare-table__property-name">${escapeHtml(p.name)}</span>
+      ${p.price ? `<span class="compare-table__property-price">${formatPrice(p.price)}</span>` : ''}
+      ${profileSummaries[i] ? `<span class="compare-table__property-price">${profileSummaries[i]}</span>` : ''}
+    </th>
+  `).join('');
+
+  /**
+   * Builds a rollup row, highlighting the properties with the best completion
+   */
+  const rollupRow = (className, label, items) => {
+    const counts = statesByProperty.map(states => countItemProgress(items, states));
+    const scores = statesByProperty.map(states => computeScore(items, states));
+    const percentages = counts.map(({ total, checked }) => total > 0 ? Math.round((checked / total) * 100) : 0);
+    const best = Math.max(...percentages);
+    const cells = counts.map(({ total, checked, flagged }, i) => {
+      const isBest = best > 0 && percentages[i] === best && properties.length > 1;
+      return `
+        <td class="compare-table__rollup${isBest ? ' compare-table__rollup--best' : ''}">
+          ${checked}/${total}<span class="compare-table__percent">${percentages[i]}%</span>
+          ${scores[i].score !== null ? `<span class="compare-table__score">${scores[i].score} 分</span>` : ''}
+          ${flagged > 0 ? `<span class="compare-table__flag">⚑ ${flagged}</span>` : ''}
+          ${scores[i].failedDealBreakers.length > 0 ? '<span class="compare-table__flag">⛔ 絕不妥協</span>' : ''}
+        </td>
+      `;
+    }).join('');
+    return `<tr class="${className}"><th scope="row">${label}</th>${cells}</tr>`;
+  };
+
+  const subsections = checklistData[sectionKey] || [];
+  let bodyRows = '';
+  subsections.forEach(subsection => {
+    bodyRows += rollupRow('compare-table__subsection', `${escapeHtml(subsection.icon)} ${escapeHtml(subsection.title)}`, subsection.items);
+    subsection.items.forEach(item => {
+      const cells = statesByProperty.map(states => {
+        const state = states[item.id];
+        if (!state) return '<td class="compare-table__cell">—</td>';
+        const status = ITEM_STATUSES[state.status] || null;
+        const rating = Math.min(MAX_RATING, Math.max(0, parseInt(state.rating, 10) || 0));
+        return `
+          <td class="compare-table__cell compare-table__cell--${status ? state.status : 'rated'}" title="${status ? status.label : ''}">
+            ${status ? status.icon : ''}
+            ${rating ? `<span class="compare-table__rating">${'★'.repeat(rating)}</span>` : ''}
+          </td>
+        `;
+      }).join('');
+      bodyRows += `<tr class="compare-table__item"><th scope="row">${escapeHtml(item.text)}</th>${cells}</tr>`;
+    });
+  });
+
+  const allItems = subsections.flatMap(subsection => subsection.items);
+
+  table.innerHTML = `
+    <thead>
+      <tr><th class="compare-table__corner">項目</th>${headerCells}</tr>
+    </thead>
+    <tbody>${bodyRows}</tbody>
+    <tfoot>${rollupRow('compare-table__summary', '總計', allItems)}</tfoot>
+  `;
+  return table;
+}
+
+/**
+ * Opens the side-by-side comparison of all properties
+ */
+function openComparisonView() {
+  const container = document.createElement('div');
+  container.className = 'compare-view';
+  container.innerHTML = `
+    <div class="compare-view__toolbar">
+      <select class="compare-view__select" aria-label="比較階段">
+        <option value="viewing">🔍 看房注意事項</option>
+        <option value="buying">💰 買房注意事項</option>
+        <option value="handover">🔑 交屋注意事項</option>
+        <option value="loan">🏦 貸款注意事項</option>
+      </select>
+      <span class="compare-view__hint">共 ${AppState.properties.length} 個物件</span>
+    </div>
+    <div class="compare-view__scroll"></div>
+  `;
+
+  const select = container.querySelector('.compare-view__select');
+  const scroll = container.querySelector('.compare-view__scroll');
+  const render = () => {
+    scroll.innerHTML = '';
+    scroll.appendChild(createComparisonTable(select.value));
+  };
+  select.addEventListener('change', render);
+  render();
+
+  openModal({ title: '物件比較', body: container, className: 'modal--wide' });
+}
+
+/**
+ * Sets up the property switcher in the header
+ */
+function setupPropertySwitcher() {
+  const select = document.getElementById('property-select');
+  if (select) {
+    select.addEventListener('change', () => switchToProperty(select.value));
+  }
+
+  const editBtn = document.getElementById('property-edit');
+  if (editBtn) {
+    editBtn.addEventListener('click', () => openPropertyForm(AppState.getActiveProperty()));
+  }
+
+  const addBtn = document.getElementById('property-add');
+  if (addBtn) {
+    addBtn.addEventListener('click', () => openPropertyForm(null));
+  }
+
+  const compareBtn = document.getElementById('property-compare');
+  if (compareBtn) {
+    compareBtn.addEventListener('click', () => openComparisonView());
+  }
+
+  renderPropertySwitcher();
+}
+
+// ========================================
+// Property Profile
+// ========================================
+
+const PARKING_TYPES = {
+  none: '無車位',
+  ramp: '坡道平面',
+  'ramp-mechanical': '坡道機械',
+  lift: '升降機械',
+  motorcycle: '僅機車位'
+};
+
+const ORIENTATIONS = ['東', '東南', '南', '西南', '西', '西北', '北', '東北'];
+
+// Listing details kept on each property; areas in 坪
+const PROFILE_FIELDS = {
+  registeredArea: { label: '權狀坪數（不含車位）', type: 'number' },
+  mainArea: { label: '主建物坪數', type: 'number' },
+  accessoryArea: { label: '附屬建物坪數', type: 'number', placeholder: '陽台、雨遮' },
+  floor: { label: '樓層', type: 'text', placeholder: '例如：12F／15F' },
+  buildingAge: { label: '屋齡（年）', type: 'number' },
+  managementFee: { label: '管理費（元／坪）', type: 'number' },
+  parking: { label: '車位', options: PARKING_TYPES },
+  orientation: { label: '主要採光面朝向', options: Object.fromEntries(ORIENTATIONS.map(o => [o, `朝${o}`])) },
+  agent: { label: '帶看仲介', type: 'text', placeholder: '姓名、店名、電話' },
+  contractArea: { label: '合約／謄本權狀坪數', type: 'number', placeholder: '簽約時依謄本填寫' }
+};
+
+/**
+ * Renders the inputs of the profile form
+ * @returns {string} - HTML
+ */
+function renderProfileFields() {
+  return Object.entries(PROFILE_FIELDS).map(([name, field]) => {
+    const input = field.options
+      ? `<select class="property-form__input" name="${name}">
+          <option value="">未填</option>
+          ${Object.entries(field.options).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>`
+      : `<input type="${field.type}" class="property-form__input" name="${name}"${field.type === 'number' ? ' min="0" step="any"' : ''} placeholder="${field.placeholder || ''}" />`;
+    return `
+      <label class="property-form__field">
+        <span class="property-form__label">${field.label}</span>
+        ${input}
+      </label>
+    `;
+  }).join('');
+}
+
+/**
+ * Reads the profile inputs of a form
+ * @param {HTMLFormElement} form - Property form
+ * @returns {Object} - Profile; empty fields are null
+ */
+function readProfileFields(form) {
+  const profile = {};
+  Object.entries(PROFILE_FIELDS).forEach(([name, field]) => {
+    const value = form.elements[name].value.trim();
+    if (value === '') {
+      profile[name] = null;
+    } else {
+      profile[name] = field.type === 'number' ? Math.max(0, Number(value) || 0) : value;
+    }
+  });
+  return profile;
+}
+
+/**
+ * Gets a property's profile with every field present
+ * @param {Object|null} [property] - Property, the active one by default
+ * @returns {Object}
+ */
+function getPropertyProfile(property = AppState.getActiveProperty()) {
+  const profile = {};
+  Object.keys(PROFILE_FIELDS).forEach(name => {
+    profile[name] = property && property.profile ? property.profile[name] ?? null : null;
+  });
+  return profile;
+}
+
+/**
+ * Derives figures a listing rarely states directly
+ * 公設比 is the share of the registered area that is neither main nor accessory building
+ * @param {number|null} price - Asking price in 萬元
+ * @param {Object} profile - Property profile
+ * @returns {Object} - { profile, unitPrice, publicRatio, monthlyFee, areaDifference }; null when unknown
+ */
+function computeProfileFigures(price, profile) {
+  const { registeredArea, mainArea, accessoryArea, managementFee, contractArea } = profile;
+  return {
+    profile,
+    unitPrice: price && registeredArea ? price / registeredArea : null,
+    publicRatio: registeredArea && mainArea !== null
+      ? (registeredArea - mainArea - (accessoryArea || 0)) / registeredArea * 100
+      : null,
+    monthlyFee: managementFee !== null && registeredArea ? managementFee * registeredArea : null,
+    areaDifference: contractArea !== null && registeredArea ? contractArea - registeredArea : null
+  };
+}
+
+/**
+ * Summarizes derived profile figures in one line
+ * @param {Object} figures - Result of computeProfileFigures()
+ * @returns {string}
+ */
+function describeProfile(figures) {
+  const parts = [];
+  if (figures.unitPrice !== null) parts.push(`單價 ${formatUnitPrice(figures.unitPrice)}`);
+  if (figures.publicRatio !== null) parts.push(`公設比 ${figures.publicRatio.toFixed(1)}%`);
+  if (figures.monthlyFee !== null) parts.push(`管理費每月約 ${formatCurrency(figures.monthlyFee)}`);
+  return parts.length > 0 ? parts.join('・') : '填入坪數後會自動計算單價與公設比。';
+}
+
+// Checklist items that quote the profile; each returns { text, warning } or null
+const PROFILE_ITEM_HINTS = {
+  v4: ({ profile, monthlyFee }) => {
+    if (profile.managementFee === null) return null;
+    return {
+      text: `每坪 ${profile.managementFee} 元${monthlyFee !== null ? `，每月約 ${formatCurrency(monthlyFee)}` : ''}`,
+      warning: false
+    };
+  },
+  v19: ({ profile }) => {
+    if (!profile.orientation) return null;
+    const west = profile.orientation.includes('西');
+    return {
+      text: `主要採光面朝${profile.orientation}${west ? '，下午請確認西曬程度' : ''}`,
+      warning: west
+    };
+  },
+  h22: ({ profile, publicRatio, areaDifference }) => {
+    if (profile.registeredArea === null) return null;
+    const listing = `廣告權狀 ${profile.registeredArea} 坪${publicRatio !== null ? `（公設比 ${publicRatio.toFixed(1)}%）` : ''}`;
+    if (areaDifference === null) {
+      return { text: `${listing}，簽約時請對照謄本`, warning: false };
+    }
+    if (Math.abs(areaDifference) < 0.01) {
+      return { text: `${listing}，與合約 ${profile.contractArea} 坪相符`, warning: false };
+    }
+    return {
+      text: `${listing}，合約為 ${profile.contractArea} 坪，相差 ${Math.abs(areaDifference).toFixed(2)} 坪`,
+      warning: true
+    };
+  }
+};
+
+/**
+ * Gets what the active property's profile says about a checklist item
+ * @param {string} itemId - Item identifier
+ * @returns {Object|null} - { icon, text, warning, source }
+ */
+function getProfileHint(itemId) {
+  const hint = PROFILE_ITEM_HINTS[itemId];
+  if (!hint) return null;
+
+  const property = AppState.getActiveProperty();
+  const result = hint(computeProfileFigures(property ? property.price : null, getPropertyProfile()));
+  return result ? { icon: '🏷️', source: '物件資料', ...result } : null;
+}
+
+// ========================================
+// Markdown
+// ========================================
+
+/**
+ * Checks a link target against the scheme allowlist
+ * Control characters and whitespace are removed first, since browsers ignore
+ * them inside a scheme ("java\tscript:" still runs)
+ * @param {string} url - Link target as written
+ * @returns {string|null} - URL safe to use as href, or null
+ */
+function sanitizeUrl(url) {
+  const cleaned = String(url).replace(/[\u0000-\u0020\u007F]+/g, '');
+  const scheme = cleaned.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme && !SAFE_URL_SCHEMES.includes(`${scheme[1].toLowerCase()}:`)) return null;
+  return cleaned || null;
+}
+
+/**
+ * Removes every element and attribute not in SAFE_HTML
+ * This is the last step of rendering, so a renderer bug cannot open an injection
+ * @param {string} html - Rendered HTML
+ * @returns {string}
+ */
+function sanitizeHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  template.content.querySelectorAll('*').forEach(el => {
+    if (!SAFE_HTML.tags.includes(el.tagName)) {
+      el.remove();
+      return;
+    }
+
+    const allowed = SAFE_HTML.attributes['*'].concat(SAFE_HTML.attributes[el.tagName] || []);
+    [...el.attributes].forEach(({ name, value }) => {
+      const keep = allowed.includes(name) &&
+        (name !== 'style' || /^text-align: (left|right|center)$/.test(value)) &&
+        (name !== 'type' || value === 'checkbox');
+      if (!keep) el.removeAttribute(name);
+    });
+
+    if (el.tagName === 'INPUT' && el.getAttribute('type') !== 'checkbox') {
+      el.remove();
+    } else if (el.tagName === 'A') {
+      const href = el.hasAttribute('href') ? sanitizeUrl(el.getAttribute('href')) : null;
+      if (href) {
+        el.setAttribute('href', href);
+        el.setAttribute('target', '_blank');
+        el.setAttribute('rel', 'noopener noreferrer');
+      } else {
+        el.replaceWith(...el.childNodes);
+      }
+    }
+  });
+
+  return template.innerHTML;
+}
+
+const MD_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const MD_HEADING = /^ {0,3}(#{1,6})(?: +(.*?))?(?: +#+)? *$/;
+const MD_RULE = /^ {0,3}([-*_])(?: *\1){2,} *$/;
+const MD_QUOTE = /^ {0,3}> ?(.*)$/;
+const MD_LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?: +(.*))?$/;
+const MD_TASK = /^\[([ xX])\](?: +|$)/;
+const MD_TABLE_DIVIDER = /^ *\|? *:?-+:? *(?:\| *:?-+:? *)*\|? *$/;
+
+/**
+ * Renders Markdown to HTML
+ * Supports headings, paragraphs, nested ordered/unordered lists, task lists,
+ * blockquotes, fenced code, tables and horizontal rules, plus inline
+ * emphasis, strikethrough, code spans and links. Single newlines inside a
+ * paragraph become line breaks, as users expect from a notes box.
+ * @param {string} text - Markdown text
+ * @param {Object} [options] - { tasks: true } makes task checkboxes clickable
+ * @returns {string} - HTML output
+ */
+function parseMarkdown(text, options = {}) {
+  if (!text) return '';
+  const context = { interactiveTasks: Boolean(options.tasks) };
+  const lines = splitMarkdownLines(String(text).replace(/\u0000/g, ''));
+  return sanitizeHtml(renderMarkdownBlocks(lines, context, lines.map((line, index) => index)));
+}
+
+/**
+ * Splits Markdown source into lines, accepting any line ending
+ * @param {string} text - Markdown text
+ * @returns {string[]}
+ */
+function splitMarkdownLines(text) {
+  return text.replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * Renders a run of lines as block-level HTML
+ * @param {string[]} lines - Lines, possibly with quote or list markers removed
+ * @param {Object} context - Shared render state
+ * @param {number[]} sourceLines - Line number in the original text of each line
+ * @returns {string}
+ */
+function renderMarkdownBlocks(lines, context, sourceLines) {
+  const html = [];
+  let i = 0;
+
+  // Only lists starting at 1 may interrupt a paragraph, so "2024. 看房" stays text
+  const isBlockStart = (line, next) => {
+    const listItem = line.match(MD_LIST_ITEM);
+    return MD_FENCE.test(line) || MD_HEADING.test(line) || MD_RULE.test(line) || MD_QUOTE.test(line) ||
+      (listItem && /^(?:[-*+]|1[.)])$/.test(listItem[2])) ||
+      isMarkdownTableStart(line, next);
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(MD_FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      html.push(`<pre class="md-code"><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    // Heading; levels start at h4 so notes never outrank the page's own headings
+    const heading = line.match(MD_HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      const tag = `h${Math.min(level + 3, 6)}`;
+      html.push(`<${tag} class="md-heading md-heading--${level}">${renderMarkdownInline(heading[2] || '')}</${tag}>`);
+      i++;
+      continue;
+    }
+
+    if (MD_RULE.test(line)) {
+      html.push('<hr class="md-rule">');
+      i++;
+      continue;
+    }
+
+    // Blockquote: strip one level of ">" and render the inside as blocks
+    if (MD_QUOTE.test(line)) {
+      const quoted = [];
+      const quotedSource = [];
+      while (i < lines.length && MD_QUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(MD_QUOTE)[1]);
+        quotedSource.push(sourceLines[i]);
+        i++;
+      }
+      html.push(`<blockquote class="md-quote">${renderMarkdownBlocks(quoted, context, quotedSource)}</blockquote>`);
+      continue;
+    }
+
+    if (MD_LIST_ITEM.test(line)) {
+      const { html: listHtml, end } = renderMarkdownList(lines, i, context, sourceLines);
+      html.push(listHtml);
+      i = end;
+      continue;
+    }
+
+    if (isMarkdownTableStart(line, lines[i + 1])) {
+      const divider = lines[i + 1];
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(lines[i]);
+        i++;
+      }
+      html.push(renderMarkdownTable(line, divider, rows));
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i], lines[i + 1])) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    html.push(`<p class="md-paragraph">${paragraph.map(l => renderMarkdownInline(l.trim())).join('<br>')}</p>`);
+  }
+
+  return html.join('');
+}
+
+/**
+ * Renders a list starting at a given line, including nested lists
+ * Lines indented past the marker belong to the current item
+ * @param {string[]} lines - Source lines
+ * @param {number} start - Index of the first list line
+ * @param {Object} context - Shared render state
+ * @param {number[]} sourceLines - Original line number of each line
+ * @returns {Object} - { html, end } where end is the first line after the list
+ */
+function renderMarkdownList(lines, start, context, sourceLines) {
+  const first = lines[start].match(MD_LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(MD_LIST_ITEM);
+    if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+
+    const contentIndent = indent + match[2].length + 1;
+    const body = [match[3] || ''];
+    const bodySource = [sourceLines[i]];
+    i++;
+
+    // Continuation lines: indented deeper than the marker, or blank lines followed by such
+    while (i < lines.length) {
+      const next = lines[i];
+      const leading = next.match(/^ */)[0].length;
+      if (next.trim() && leading > indent) {
+        body.push(next.slice(Math.min(leading, contentIndent)));
+        bodySource.push(sourceLines[i]);
+        i++;
+      } else if (!next.trim() && i + 1 < lines.length && lines[i + 1].trim() &&
+                 lines[i + 1].match(/^ */)[0].length > indent) {
+        body.push('');
+        bodySource.push(sourceLines[i]);
+        i++;
+      } else {
+        break;
+      }
+    }
+
+    items.push(renderMarkdownListItem(body, context, bodySource));
+
+    // A single blank line between items keeps the list going
+    if (i + 1 < lines.length && !lines[i].trim() && MD_LIST_ITEM.test(lines[i + 1]) &&
+        lines[i + 1].match(MD_LIST_ITEM)[1].length === indent) {
+      i++;
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+  return { html: `<${tag} class="md-list"${startAttr}>${items.join('')}</${tag}>`, end: i };
+}
+
+/**
+ * Renders one list item; its first line is inline text, the rest nested blocks
+ * @param {string[]} body - Item lines with the marker removed
+ * @param {Object} context - Shared render state
+ * @param {number[]} bodySource - Original line number of each body line
+ * @returns {string}
+ */
+function renderMarkdownListItem(body, context, bodySource) {
+  let [firstLine, ...rest] = body;
+  const restSource = bodySource.slice(1);
+  let checkbox = '';
+
+  // The checkbox remembers its source line so toggling edits exactly that line
+  const task = firstLine.match(MD_TASK);
+  if (task) {
+    const checked = task[1] !== ' ';
+    checkbox = `<input type="checkbox" class="md-task__checkbox" data-task-line="${bodySource[0]}"${checked ? ' checked' : ''}${context.interactiveTasks ? '' : ' disabled'} aria-label="${checked ? '已完成' : '未完成'}">`;
+    firstLine = firstLine.slice(task[0].length);
+  }
+
+  // Lazy continuation lines extend the first paragraph until a block starts
+  const text = [firstLine];
+  while (rest.length > 0 && rest[0].trim() && !MD_LIST_ITEM.test(rest[0]) &&
+         !MD_QUOTE.test(rest[0]) && !MD_FENCE.test(rest[0])) {
+    text.push(rest.shift());
+    restSource.shift();
+  }
+
+  const inline = text.map(l => renderMarkdownInline(l.trim())).join('<br>');
+  const nested = rest.length > 0 ? renderMarkdownBlocks(rest, context, restSource) : '';
+  const className = task ? 'md-list__item md-task' : 'md-list__item';
+  return `<li class="${className}">${checkbox}${inline}${nested}</li>`;
+}
+
+/**
+ * Checks whether a line and the one after it open a table
+ * @param {string} line - Header row candidate
+ * @param {string} [next] - Divider row candidate
+ * @returns {boolean}
+ */
+function isMarkdownTableStart(line, next) {
+  return line.includes('|') && typeof next === 'string' && next.includes('-') && MD_TABLE_DIVIDER.test(next) &&
+    splitMarkdownTableRow(line).length === splitMarkdownTableRow(next).length;
+}
+
+/**
+ * Splits a table row into trimmed cells, ignoring outer pipes and escaped pipes
+ * @param {string} row - Table row
+ * @returns {string[]}
+ */
+function splitMarkdownTableRow(row) {
+  return row.trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Renders a table from its header, divider and body rows
+ * @param {string} header - Header row
+ * @param {string} divider - Alignment row
+ * @param {string[]} rows - Body rows
+ * @returns {string}
+ */
+function renderMarkdownTable(header, divider, rows) {
+  const aligns = splitMarkdownTableRow(divider).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return '';
+  });
+  const cell = (tag, content, index) => {
+    const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+    return `<${tag}${align}>${renderMarkdownInline(content || '')}</${tag}>`;
+  };
+
+  const head = splitMarkdownTableRow(header).map((content, index) => cell('th', content, index)).join('');
+  const body = rows.map(row => {
+    const cells = splitMarkdownTableRow(row);
+    return `<tr>${aligns.map((_, index) => cell('td', cells[index], index)).join('')}</tr>`;
+  }).join('');
+
+  return `<div class="md-table-wrap"><table class="md-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>`;
+}
+
+/**
+ * Renders inline Markdown: code spans, links, bold, italic and strikethrough
+ * Emphasis may nest (e.g. **bold *and italic***)
+ * @param {string} text - One line of Markdown
+ * @returns {string}
+ */
+function renderMarkdownInline(text) {
+  const stash = [];
+  const hold = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+  // Code spans and backslash escapes are taken out first so nothing inside them is parsed
+  let html = text
+    .replace(/(`+)(.+?)\1(?!`)/g, (_, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+    .replace(/\\([\\`*_[\]()#+\-.!|~>])/g, (_, char) => hold(escapeHtml(char)));
+
+  // Links with a disallowed scheme keep only their label
+  html = html.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (_, label, url) => {
+    const labelHtml = renderMarkdownEmphasis(escapeHtml(label));
+    const href = sanitizeUrl(url);
+    return hold(href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>` : labelHtml);
+  });
+
+  html = escapeHtml(html);
+
+  return renderMarkdownEmphasis(html).replace(/\u0000(\d+)\u0000/g, (_, index) => stash[index]);
+}
+
+/**
+ * Converts emphasis markers in escaped HTML text
+ * Strong runs first so *italic* can sit inside **bold** and vice versa
+ * @param {string} html - Escaped text
+ * @returns {string}
+ */
+function renderMarkdownEmphasis(html) {
+  return html
+    .replace(/\*\*\*(?=\S)(.+?)(?<=\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+    .replace(/\*(?=[^\s*])([^*]+?)\*\*(?=\S)(.+?)(?<=\S)\*\*\*/g, '<em>$1<strong>$2</strong></em>')
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*(?!\*)/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)(.+?)(?<=\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Flips the checkbox of a task list item in Markdown source
+ * @param {string} text - Markdown text
+ * @param {number} line - data-task-line of the clicked checkbox
+ * @returns {string} - Updated Markdown
+ */
+function toggleMarkdownTask(text, line) {
+  const lines = splitMarkdownLines(text);
+  const task = (lines[line] || '').match(/^((?: {0,3}> ?)*\s*(?:[-*+]|\d{1,9}[.)]) +\[)([ xX])\]/);
+  if (!task) return text;
+
+  lines[line] = task[1] + (task[2] === ' ' ? 'x' : ' ') + lines[line].slice(task[1].length + 1);
+  return lines.join('\n');
+}
+
+// ========================================
+// UI Components
+// ========================================
+
+// Sources of the hints shown under checklist items
+const ITEM_HINT_SOURCES = [getProfileHint, getVisitCoverageHint];
+
+/**
+ * Renders the hints other records give about a checklist item
+ * @param {string} itemId - Item identifier
+ * @returns {string} - HTML
+ */
+function renderItemHints(itemId) {
+  return ITEM_HINT_SOURCES.map(getHint => getHint(itemId)).filter(Boolean).map(hint => `
+    <div class="checklist__hint${hint.warning ? ' checklist__hint--warning' : ''}" title="來自${hint.source}">
+      ${hint.warning ? '⚠️' : hint.icon} ${escapeHtml(hint.text)}
+    </div>
+  `).join('');
+}
+
+/**
+ * Creates a checklist item element
+ * @param {Object} item - Item data
+ * @param {string} sectionId - Parent section ID
+ * @returns {HTMLElement}
+ */
+/**
+ * Creates a checklist item element
+ * @param {Object} item - Item data
+ * @param {string} sectionKey - Section key
+ * @param {number} subsectionIndex - Subsection index
+ * @returns {HTMLElement}
+ */
+function createChecklistItem(baseItem, sectionKey, subsectionIndex) {
+  const item = AppState.resolveItem(baseItem);
+  const itemId = item.id;
+
+  const li = document.createElement('li');
+  li.className = 'checklist__item';
+  li.dataset.itemId = itemId;
+  li.dataset.sectionKey = sectionKey;
+  li.dataset.subsectionIndex = subsectionIndex;
+
+  const statusButtons = Object.entries(ITEM_STATUSES).map(([status, { label }]) =>
+    `<button type="button" class="checklist__status checklist__status--${status}" data-status="${status}">${label}</button>`
+  ).join('');
+  const ratingButtons = Array.from({ length: MAX_RATING }, (_, i) =>
+    `<button type="button" class="checklist__star" data-rating="${i + 1}" aria-label="${i + 1} 分">★</button>`
+  ).join('');
+
+  const priority = AppState.getItemPriority(item);
+  const weightOptions = Object.entries(WEIGHT_LEVELS).map(([weight, label]) =>
+    `<option value="${weight}"${Number(weight) === priority.weight ? ' selected' : ''}>${label}</option>`
+  ).join('');
+  const badges = [
+    item.original ? `<span class="checklist__badge checklist__badge--modified" title="預設：${escapeHtml(item.original.text)}">已修改</span>` : '',
+    priority.dealBreaker ? '<span class="checklist__badge checklist__badge--dealbreaker">絕不妥協</span>' : '',
+    priority.weight > 1 ? `<span class="checklist__badge checklist__badge--weight">${WEIGHT_LEVELS[priority.weight]}</span>` : ''
+  ].join('');
+  li.dataset.dealBreaker = priority.dealBreaker;
+
+  li.innerHTML = `
+    <button type="button" class="drag-handle checklist__drag-handle" aria-label="調整「${escapeHtml(item.text)}」的順序（方向鍵上下移動）" title="拖曳或按方向鍵調整順序">⠿</button>
+    <div class="checklist__checkbox">
+      <span class="checklist__checkbox-icon">✓</span>
+    </div>
+    <div class="checklist__content">
+      <div class="checklist__text">${escapeHtml(item.text)}${badges}</div>
+      ${item.description ? `<div class="checklist__description">${parseMarkdown(item.description)}</div>` : ''}
+      ${renderItemHints(itemId)}
+      <div class="checklist__assess">
+        <div class="checklist__statuses">${statusButtons}</div>
+        <div class="checklist__rating">${ratingButtons}</div>
+      </div>
+    </div>
+    ${item.original ? '<button class="checklist__revert-btn" aria-label="還原為預設內容" title="還原為預設內容">↺</button>' : ''}
+    <button class="checklist__attach-btn" aria-label="附加照片或檔案" title="附加照片或檔案">📎</button>
+    <button class="checklist__move-btn" aria-label="移動到其他分類" title="移動到…">⇄</button>
+    <button class="checklist__edit-btn" aria-label="編輯項目">✎</button>
+    <div class="checklist__edit-form">
+      <input type="text" class="checklist__edit-input checklist__edit-input--title" placeholder="項目標題" value="${escapeHtml(item.text)}" />
+      <textarea class="checklist__edit-textarea" placeholder="描述（支援 Markdown：**粗體** *斜體* \`程式碼\` - 清單）">${escapeHtml(item.description || '')}</textarea>
+      <div class="checklist__edit-priority">
+        <label class="checklist__edit-field">
+          重要程度
+          <select class="checklist__edit-weight">${weightOptions}</select>
+        </label>
+        <label class="checklist__edit-field">
+          <input type="checkbox" class="checklist__edit-dealbreaker"${priority.dealBreaker ? ' checked' : ''} />
+          絕不妥協
+        </label>
+      </div>
+      <div class="checklist__edit-actions">
+        <button type="button" class="checklist__delete-btn">刪除</button>
+        <div class="checklist__edit-actions-group">
+          <button type="button" class="checklist__edit-cancel">取消</button>
+          <button type="button" class="checklist__edit-save">儲存</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  applyItemState(li, itemId);
+
+  // Show attached photos and files below the description
+  const owner = attachmentOwner('item', itemId);
+  li.querySelector('.checklist__content').appendChild(createAttachmentList(owner));
+  li.querySelector('.checklist__attach-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    pickAttachments(owner);
+  });
+
+  // Handle reordering by drag handle or arrow keys
+  setupReorder(li, li.querySelector('.checklist__drag-handle'), {
+    type: 'item',
+    sectionKey,
+    move: (toIndex) => AppState.moveItem(sectionKey, subsectionIndex, itemId, toIndex),
+    focusSelector: () => `li[data-item-id="${itemId}"] .checklist__drag-handle`
+  });
+
+  // Handle checkbox click
+  const checkbox = li.querySelector('.checklist__checkbox');
+  checkbox.addEventListener('click', (e) => {
+    e.stopPropagation();
+    handleItemClick(li, itemId, sectionKey);
+  });
+
+  // Handle status buttons (clicking the current status clears it)
+  li.querySelectorAll('.checklist__status').forEach(button => {
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const status = button.dataset.status;
+      const current = AppState.getItemStatus(itemId);
+      if (status === 'pass' && current !== 'pass' && !confirmVisitCoverage(itemId)) return;
+      AppState.setItemStatus(itemId, current === status ? null : status);
+      refreshItemState(li, itemId, sectionKey);
+    });
+  });
+
+  // Handle rating stars (clicking the current rating clears it)
+  li.querySelectorAll('.checklist__star').forEach(button => {
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const rating = parseInt(button.dataset.rating, 10);
+      const state = AppState.getItemState(itemId);
+      AppState.setItemRating(itemId, state && state.rating === rating ? null : rating);
+      refreshItemState(li, itemId, sectionKey);
+    });
+  });
+
+  // Handle revert button click
+  const revertBtn = li.querySelector('.checklist__revert-btn');
+  if (revertBtn) {
+    revertBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      AppState.resetCustomItem(itemId);
+      reRenderSection(sectionKey);
+      updateTotalProgress();
+    });
+  }
+
+  // Handle move button click
+  li.querySelector('.checklist__move-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    openMoveItemDialog(item);
+  });
+
+  // Handle edit button click
+  const editBtn = li.querySelector('.checklist__edit-btn');
+  editBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    enterEditMode(li);
+  });
+
+  // Handle delete button
+  const deleteBtn = li.querySelector('.checklist__delete-btn');
+  deleteBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    const subIdx = parseInt(subsectionIndex, 10);
+    const result = AppState.deleteItem(sectionKey, subIdx, itemId);
+    if (result) {
+      reRenderSection(sectionKey);
+      updateTotalProgress();
+      showUndoToast();
+    } else {
+      console.error('Failed to delete item:', { sectionKey, subsectionIndex: subIdx, itemId });
+    }
+  });
+
+  // Handle save button
+  const saveBtn = li.querySelector('.checklist__edit-save');
+  saveBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    saveItemEdit(li);
+  });
+
+  // Handle cancel button
+  const cancelBtn = li.querySelector('.checklist__edit-cancel');
+  cancelBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    exitEditMode(li);
+  });
+
+  // Handle inputs
+  const titleInput = li.querySelector('.checklist__edit-input--title');
+  const textarea = li.querySelector('.checklist__edit-textarea');
+
+  const handleKeydown = (e) => {
+    if (e.key === 'Escape') {
+      exitEditMode(li);
+    } else if (e.key === 'Enter' && (e.target === titleInput || e.ctrlKey)) {
+      e.preventDefault();
+      saveItemEdit(li);
+    }
+  };
+
+  if (titleInput) {
+    titleInput.addEventListener('keydown', handleKeydown);
+    titleInput.addEventListener('click', (e) => e.stopPropagation());
+  }
+  if (textarea) {
+    textarea.addEventListener('keydown', handleKeydown);
+    textarea.addEventListener('click', (e) => e.stopPropagation());
+  }
+  li.querySelector('.checklist__edit-priority').addEventListener('click', (e) => e.stopPropagation());
+
+  return li;
+}
+
+/**
+ * Opens the dialog for moving an item to any section and subsection
+ * @param {Object} item - Resolved item being moved
+ */
+function openMoveItemDialog(item) {
+  const current = AppState.findItem(item.id);
+  if (!current) return;
+
+  const groups = SECTION_KEYS.map(sectionKey => {
+    const options = AppState.getSectionStructure(sectionKey).map((subsection, index) => {
+      const isCurrent = sectionKey === current.sectionKey && index === current.subsectionIndex;
+      return `<option value="${sectionKey}:${index}"${isCurrent ? ' selected disabled' : ''}>${escapeHtml(subsection.title)}${isCurrent ? '（目前位置）' : ''}</option>`;
+    }).join('');
+    return options ? `<optgroup label="${SECTION_TITLES[sectionKey]}">${options}</optgroup>` : '';
+  }).join('');
+
+  const form = document.createElement('form');
+  form.className = 'property-form';
+  form.innerHTML = `
+    <p class="property-form__hint">「${escapeHtml(item.text)}」會保留評估、評分與重要程度。</p>
+    <label class="property-form__field">
+      <span class="property-form__label">移動到</span>
+      <select class="property-form__input" name="target" required>
+        <option value="" disabled>選擇階段與分類</option>
+        ${groups}
+      </select>
+    </label>
+    <div class="property-form__actions">
+      <span></span>
+      <button type="submit" class="property-form__save">移動</button>
+    </div>
+  `;
+
+  const select = form.elements.target;
+  if (select.selectedOptions[0] && select.selectedOptions[0].disabled) {
+    select.value = '';
+  }
+
+  const modal = openModal({ title: '移動項目', body: form });
+  select.focus();
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!select.value) return;
+
+    const [sectionKey, index] = select.value.split(':');
+    const subsectionIndex = parseInt(index, 10);
+    const fromSectionKey = AppState.moveItemTo(item.id, sectionKey, subsectionIndex);
+    modal.close();
+    if (!fromSectionKey) return;
+
+    reRenderSection(fromSectionKey);
+    if (sectionKey !== fromSectionKey) {
+      reRenderSection(sectionKey);
+    }
+    updateTotalProgress();
+
+    const title = AppState.getSectionStructure(sectionKey)[subsectionIndex].title;
+    showToast(`已移動到「${SECTION_TITLES[sectionKey]} · ${title}」`, { label: '復原', onClick: () => performUndo() });
+  });
+}
+
+/**
+ * Enters edit mode for a checklist item
+ * @param {HTMLElement} li - The list item element
+ * @param {string} itemId - Item identifier
+ */
+/**
+ * Enters edit mode for a checklist item
+ * @param {HTMLElement} li - The list item element
+ */
+function enterEditMode(li) {
+  li.classList.add('checklist__item--editing');
+  const titleInput = li.querySelector('.checklist__edit-input--title');
+  if (titleInput) {
+    titleInput.focus();
+    titleInput.select();
+  }
+}
+
+/**
+ * Exits edit mode without saving
+ * @param {HTMLElement} li - The list item element
+ */
+function exitEditMode(li) {
+  li.classList.remove('checklist__item--editing');
+
+  // Revert changes logic: re-render the section from source of truth
+  const sectionKey = li.dataset.sectionKey;
+  if (sectionKey) {
+    reRenderSection(sectionKey);
+  }
+}
+
+/**
+ * Saves the edited content
+ * @param {HTMLElement} li - The list item element
+ */
+function saveItemEdit(li) {
+  const titleInput = li.querySelector('.checklist__edit-input--title');
+  const descTextarea = li.querySelector('.checklist__edit-textarea');
+
+  const newText = titleInput.value.trim();
+  const newDesc = descTextarea.value.trim();
+
+  if (!newText) {
+    titleInput.focus();
+    return;
+  }
+
+  const sectionKey = li.dataset.sectionKey;
+  const subsectionIndex = parseInt(li.dataset.subsectionIndex);
+  const itemId = li.dataset.itemId;
+
+  const weight = parseInt(li.querySelector('.checklist__edit-weight').value, 10);
+  const dealBreaker = li.querySelector('.checklist__edit-dealbreaker').checked;
+
+  if (AppState.updateItemContent(sectionKey, subsectionIndex, itemId, newText, newDesc)) {
+    const { item } = AppState.findItem(itemId);
+    const current = AppState.getItemPriority(item);
+    if (weight !== current.weight || dealBreaker !== current.dealBreaker) {
+      AppState.setItemPriority(item, weight, dealBreaker);
+    }
+    reRenderSection(sectionKey);
+    updateTotalProgress();
+  }
+}
+
+/**
+ * Handles checklist item click
+ * @param {HTMLElement} element - The clicked element
+ * @param {string} itemId - Item identifier
+ * @param {string} sectionKey - Section key
+ */
+function handleItemClick(element, itemId, sectionKey) {
+  if (!AppState.getItemStatus(itemId) && !confirmVisitCoverage(itemId)) return;
+  AppState.toggleItem(itemId);
+  refreshItemState(element, itemId, sectionKey);
+}
+
+/**
+ * Re-applies an item's assessment and updates all progress displays
+ * @param {HTMLElement} element - The list item element
+ * @param {string} itemId - Item identifier
+ * @param {string} sectionKey - Section key
+ */
+function refreshItemState(element, itemId, sectionKey) {
+  applyItemState(element, itemId);
+  updateTotalProgress();
+  updateSectionProgress(sectionKey);
+
+  const subsectionEl = element.closest('.subsection');
+  if (subsectionEl) applyViewFilter(subsectionEl);
+}
+
+/**
+ * Gets when an item's assessment or content last changed
+ * @param {Object} item - Structure item
+ * @returns {string|null} - ISO timestamp
+ */
+function getItemChangedAt(item) {
+  const state = AppState.getItemState(item.id);
+  const custom = AppState.getCustomItem(item.id);
+  const times = [state && state.updatedAt, custom && custom.updatedAt, item.updatedAt].filter(Boolean);
+  return times.length > 0 ? times.sort().pop() : null;
+}
+
+/**
+ * Checks whether an item passes the active view filter
+ * @param {Object} item - Structure item
+ * @returns {boolean}
+ */
+function matchesViewFilter(item) {
+  const { mode, days } = AppState.viewFilter;
+  const status = AppState.getItemStatus(item.id);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  return VIEW_FILTERS[mode].matches(status, getItemChangedAt(item), since);
+}
+
+/**
+ * Hides the items of a subsection that the view filter leaves out
+ * and shows how many were hidden
+ * @param {HTMLElement} subsectionEl - Subsection element
+ */
+function applyViewFilter(subsectionEl) {
+  const { sectionKey, subsectionIndex } = subsectionEl.dataset;
+  const subsection = AppState.getSectionStructure(sectionKey)[subsectionIndex];
+  if (!subsection) return;
+
+  let hidden = 0;
+  subsection.items.forEach(item => {
+    const li = subsectionEl.querySelector(`li[data-item-id="${item.id}"]`);
+    if (!li) return;
+    li.hidden = !matchesViewFilter(item);
+    if (li.hidden) hidden++;
+  });
+
+  const countEl = subsectionEl.querySelector('.subsection__hidden-count');
+  countEl.textContent = hidden > 0 ? `已隱藏 ${hidden} 項` : '';
+  subsectionEl.classList.toggle('subsection--filtered-empty', hidden > 0 && hidden === subsection.items.length);
+}
+
+/**
+ * Renders the view filter toolbar
+ */
+function renderViewFilter() {
+  const toolbar = document.getElementById('view-filter');
+  if (!toolbar) return;
+
+  const { mode, days } = AppState.viewFilter;
+  const buttons = Object.entries(VIEW_FILTERS).map(([key, { label }]) => `
+    <button type="button" class="view-filter__option${key === mode ? ' view-filter__option--active' : ''}" data-mode="${key}" aria-pressed="${key === mode}">${label}</button>
+  `).join('');
+  const dayOptions = RECENT_DAY_OPTIONS.map(value =>
+    `<option value="${value}"${value === days ? ' selected' : ''}>${value} 天內</option>`
+  ).join('');
+
+  toolbar.innerHTML = `
+    <span class="view-filter__label">顯示</span>
+    ${buttons}
+    <select class="view-filter__days" aria-label="最近變更的天數"${mode === 'recent' ? '' : ' hidden'}>${dayOptions}</select>
+  `;
+}
+
+/**
+ * Changes the view filter and re-applies it to every subsection
+ * @param {string} mode - Key of VIEW_FILTERS
+ * @param {number} [days] - Look-back window for the "recent" filter
+ */
+function changeViewFilter(mode, days) {
+  AppState.setViewFilter(mode, days);
+  renderViewFilter();
+  document.querySelectorAll('.subsection').forEach(applyViewFilter);
+}
+
+/**
+ * Sets up the view filter toolbar
+ */
+function setupViewFilter() {
+  const toolbar = document.getElementById('view-filter');
+  if (!toolbar) return;
+
+  toolbar.addEventListener('click', (e) => {
+    const option = e.target.closest('.view-filter__option');
+    if (option) changeViewFilter(option.dataset.mode);
+  });
+  toolbar.addEventListener('change', (e) => {
+    if (e.target.matches('.view-filter__days')) {
+      changeViewFilter(AppState.viewFilter.mode, parseInt(e.target.value, 10));
+    }
+  });
+
+  renderViewFilter();
+}
+
+/**
+ * Reflects an item's status and rating in its element
+ * @param {HTMLElement} element - The list item element
+ * @param {string} itemId - Item identifier
+ */
+function applyItemState(element, itemId) {
+  const state = AppState.getItemState(itemId);
+  const status = state ? state.status : null;
+  const rating = state ? state.rating : null;
+
+  element.classList.toggle('checklist__item--checked', isAssessedStatus(status));
+  element.classList.toggle('checklist__item--rated', Boolean(rating));
+  element.classList.toggle('checklist__item--dealbreaker-failed', status === 'fail' && element.dataset.dealBreaker === 'true');
+  Object.keys(ITEM_STATUSES).forEach(key => {
+    element.classList.toggle(`checklist__item--${key}`, status === key);
+  });
+
+  const icon = element.querySelector('.checklist__checkbox-icon');
+  if (icon) {
+    icon.textContent = status ? ITEM_STATUSES[status].icon : '✓';
+  }
+
+  element.querySelectorAll('.checklist__status').forEach(button => {
+    button.classList.toggle('checklist__status--active', button.dataset.status === status);
+  });
+  element.querySelectorAll('.checklist__star').forEach(button => {
+    button.classList.toggle('checklist__star--active', Boolean(rating) && parseInt(button.dataset.rating, 10) <= rating);
+  });
+}
+
+/**
+ * Checks if a status counts as assessed (N/A items are excluded instead)
+ * @param {string|null} status - Item status
+ * @returns {boolean}
+ */
+function isAssessedStatus(status) {
+  return status === 'pass' || status === 'concern' || status === 'fail';
+}
+
+/**
+ * Counts progress for a list of items
+ * N/A items are excluded from the total, failed items are counted as flagged
+ * @param {Array} items - Checklist items
+ * @param {Object} itemStates - Assessments keyed by item ID
+ * @returns {Object} - { total, checked, flagged, excluded }
+ */
+function countItemProgress(items, itemStates) {
+  const counts = { total: 0, checked: 0, flagged: 0, excluded: 0 };
+  items.forEach(item => {
+    const status = itemStates[item.id] ? itemStates[item.id].status : null;
+    if (status === 'na') {
+      counts.excluded++;
+      return;
+    }
+    counts.total++;
+    if (isAssessedStatus(status)) counts.checked++;
+    if (status === 'fail') counts.flagged++;
+  });
+  return counts;
+}
+
+/**
+ * Computes a weighted 0-100 score from item assessments
+ * Ratings take precedence over status; N/A and unassessed items are skipped
+ * @param {Array} items - Checklist items
+ * @param {Object} itemStates - Assessments keyed by item ID
+ * @returns {Object} - { score (null if nothing assessed), failedDealBreakers }
+ */
+function computeScore(items, itemStates) {
+  let earned = 0;
+  let possible = 0;
+  const failedDealBreakers = [];
+
+  items.forEach(item => {
+    const state = itemStates[item.id];
+    if (!state || state.status === 'na') return;
+
+    const { weight, dealBreaker } = AppState.getItemPriority(item);
+    let value = null;
+    if (state.rating) {
+      value = (state.rating - 1) / (MAX_RATING - 1);
+    } else if (state.status in STATUS_SCORES) {
+      value = STATUS_SCORES[state.status];
+    }
+
+    if (state.status === 'fail' && dealBreaker) {
+      failedDealBreakers.push(item);
+    }
+    if (value === null) return;
+
+    earned += weight * value;
+    possible += weight;
+  });
+
+  return {
+    score: possible > 0 ? Math.round((earned / possible) * 100) : null,
+    failedDealBreakers
+  };
+}
+
+/**
+ * Gets all items of a section in the active property's structure
+ * @param {string} sectionKey - Section key (e.g. 'viewing')
+ * @returns {Array}
+ */
+function getSectionItems(sectionKey) {
+  return AppState.getSectionStructure(sectionKey).flatMap(subsection => subsection.items);
+}
+
+/**
+ * Updates progress for a specific section
+ * @param {string} sectionKey - Section identifier (e.g. 'viewing')
+ */
+function updateSectionProgress(sectionKey) {
+  // If sectionKey comes in as 'section-viewing', strip prefix
+  const key = sectionKey.replace('section-', '');
+  const sectionId = `section-${key}`;
+
+  // Calculate progress from structure
+  const items = getSectionItems(key);
+  const { total, checked, flagged } = countItemProgress(items, AppState.itemStates);
+  const { score, failedDealBreakers } = computeScore(items, AppState.itemStates);
+  const percentage = total > 0 ? (checked / total) * 100 : 0;
+
+  // Update Bento Card
+  const cards = document.querySelectorAll('.bento__item--card');
+  cards.forEach(card => {
+    if (card.dataset.section === sectionId) {
+      const barFill = card.querySelector('.card-bento__bar-fill');
+      const stats = card.querySelector('.card-bento__stats');
+      const flag = card.querySelector('.card-bento__flag');
+      const scoreEl = card.querySelector('.card-bento__score');
+      if (barFill) barFill.style.width = `${percentage}%`;
+      if (stats) stats.textContent = `${checked}/${total}`;
+      if (scoreEl) scoreEl.textContent = score === null ? '' : `${score} 分`;
+      card.classList.toggle('bento__item--alert', failedDealBreakers.length > 0);
+      if (flag) {
+        flag.textContent = flagged > 0 ? `⚑ ${flagged}` : '';
+        flag.title = flagged > 0 ? `${flagged} 項不合格` : '';
+      }
+    }
+  });
+}
+
+/**
+ * Helper to re-render a section after changes
+ */
+function reRenderSection(sectionKey) {
+  const sectionId = `section-${sectionKey}`;
+  initializeSection(sectionId, sectionKey);
+}
+
+/**
+ * Re-renders every section, e.g. after switching property
+ */
+function renderAllSections() {
+  SECTION_KEYS.forEach(sectionKey => reRenderSection(sectionKey));
+}
+
+/**
+ * Creates a note item element with Markdown support and edit functionality
+ * @param {Object} note - Note data
+ * @param {string} sectionId - Section identifier
+ * @returns {HTMLElement}
+ */
+function createNoteItem(note, sectionId) {
+  const li = document.createElement('li');
+  li.className = 'note-item';
+  li.dataset.noteId = note.id;
+
+  const createdDate = new Date(note.createdAt);
+  const formattedDate = createdDate.toLocaleDateString('zh-TW', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  li.innerHTML = `
+    <div class="note-item__content">
+      <div class="note-item__text">${parseMarkdown(note.text, { tasks: true })}</div>
+      <div class="note-item__time">${formattedDate}</div>
+    </div>
+    <div class="note-item__edit-form">
+      <textarea class="note-item__textarea" placeholder="支援 Markdown：# 標題、**粗體**、- 清單、- [ ] 待辦、表格與 \`\`\` 程式碼區塊">${escapeHtml(note.text)}</textarea>
+      <div class="note-item__edit-actions">
+        <button type="button" class="note-item__edit-cancel">取消</button>
+        <button type="button" class="note-item__edit-save">儲存</button>
+      </div>
+    </div>
+    <div class="note-item__actions">
+      <button class="note-item__attach" aria-label="附加照片或檔案">📎</button>
+      <button class="note-item__edit" aria-label="編輯註記">✎</button>
+      <button class="note-item__delete" aria-label="刪除註記">✕</button>
+    </div>
+  `;
+
+  // Store original text for cancel
+  li.dataset.originalText = note.text;
+
+  // Show attached photos and files below the text
+  const owner = attachmentOwner('note', note.id);
+  li.querySelector('.note-item__content').appendChild(createAttachmentList(owner));
+  li.querySelector('.note-item__attach').addEventListener('click', (e) => {
+    e.stopPropagation();
+    pickAttachments(owner);
+  });
+
+  // Task list checkboxes update the note's Markdown in place
+  li.querySelector('.note-item__text').addEventListener('change', (e) => {
+    if (!e.target.matches('.md-task__checkbox')) return;
+    const current = AppState.getNotes(sectionId).find(n => n.id === note.id);
+    if (!current) return;
+
+    const newText = toggleMarkdownTask(current.text, Number(e.target.dataset.taskLine));
+    AppState.updateNote(sectionId, note.id, newText);
+    li.dataset.originalText = newText;
+    li.querySelector('.note-item__textarea').value = newText;
+  });
+
+  // Handle edit button
+  const editButton = li.querySelector('.note-item__edit');
+  editButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    enterNoteEditMode(li);
+  });
+
+  // Handle delete button
+  const deleteButton = li.querySelector('.note-item__delete');
+  deleteButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    AppState.deleteNote(sectionId, note.id);
+    li.remove();
+    updateNotesEmptyState(sectionId);
+    showUndoToast();
+  });
+
+  // Handle save button
+  const saveButton = li.querySelector('.note-item__edit-save');
+  saveButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    saveNoteEdit(li, sectionId, note.id);
+  });
+
+  // Handle cancel button
+  const cancelButton = li.querySelector('.note-item__edit-cancel');
+  cancelButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    exitNoteEditMode(li);
+  });
+
+  // Handle Escape key in textarea
+  const textarea = li.querySelector('.note-item__textarea');
+  textarea.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      exitNoteEditMode(li);
+    }
+    // Ctrl+Enter to save
+    if (e.key === 'Enter' && e.ctrlKey) {
+      e.preventDefault();
+      saveNoteEdit(li, sectionId, note.id);
+    }
+  });
+
+  return li;
+}
+
+/**
+ * Enters edit mode for a note
+ * @param {HTMLElement} li - Note item element
+ */
+function enterNoteEditMode(li) {
+  li.classList.add('note-item--editing');
+  const textarea = li.querySelector('.note-item__textarea');
+  if (textarea) {
+    textarea.focus();
+    // Move cursor to end
+    textarea.selectionStart = textarea.value.length;
+    textarea.selectionEnd = textarea.value.length;
+  }
+}
+
+/**
+ * Exits note edit mode without saving
+ * @param {HTMLElement} li - Note item element
+ */
+function exitNoteEditMode(li) {
+  li.classList.remove('note-item--editing');
+  const textarea = li.querySelector('.note-item__textarea');
+  if (textarea && li.dataset.originalText) {
+    textarea.value = li.dataset.originalText;
+  }
+}
+
+/**
+ * Saves note edit
+ * @param {HTMLElement} li - Note item element
+ * @param {string} sectionId - Section identifier
+ * @param {string} noteId - Note identifier
+ */
+function saveNoteEdit(li, sectionId, noteId) {
+  const textarea = li.querySelector('.note-item__textarea');
+  const newText = textarea.value.trim();
+
+  if (!newText) {
+    textarea.focus();
+    return;
+  }
+
+  // Update in state
+  AppState.updateNote(sectionId, noteId, newText);
+
+  // Update display
+  const textEl = li.querySelector('.note-item__text');
+  textEl.innerHTML = parseMarkdown(newText, { tasks: true });
+
+  // Update original text for future cancels
+  li.dataset.originalText = newText;
+
+  // Exit edit mode
+  li.classList.remove('note-item--editing');
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escapes HTML special characters, including quotes so the result is safe in attributes
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Shows a transient message at the bottom of the screen
+ * @param {string} message - Message text
+ * @param {Object} [action] - { label, onClick } for an inline action button
+ */
+function showToast(message, action) {
+  const existing = document.querySelector('.toast');
+  if (existing) existing.remove();
+
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span class="toast__message">${escapeHtml(message)}</span>
+    ${action ? `<button type="button" class="toast__action">${escapeHtml(action.label)}</button>` : ''}
+  `;
+
+  const dismiss = () => {
+    toast.classList.add('toast--leaving');
+    setTimeout(() => toast.remove(), 300);
+  };
+
+  if (action) {
+    toast.querySelector('.toast__action').addEventListener('click', () => {
+      action.onClick();
+      dismiss();
+    });
+  }
+
+  document.body.appendChild(toast);
+  setTimeout(dismiss, 5000);
+}
+
+/**
+ * Shows the undo toast after a destructive action
+ */
+function showUndoToast() {
+  showToast('已刪除', { label: '復原', onClick: () => performUndo() });
+}
+
+/**
+ * Undoes the last change and re-renders
+ */
+function performUndo() {
+  const label = HistoryManager.undo();
+  if (label) {
+    refreshAfterHistoryStep();
+    showToast(`已復原：${label}`, { label: '重做', onClick: () => performRedo() });
+  }
+}
+
+/**
+ * Redoes the last undone change and re-renders
+ */
+function performRedo() {
+  const label = HistoryManager.redo();
+  if (label) {
+    refreshAfterHistoryStep();
+    showToast(`已重做：${label}`);
+  }
+}
+
+/**
+ * Re-renders everything an undo/redo step may have changed
+ */
+function refreshAfterHistoryStep() {
+  renderAllSections();
+  updateTotalProgress();
+  updateTemplateBadge();
+}
+
+/**
+ * Sets up Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) for undo and redo
+ * Text fields keep their native undo
+ */
+function setupHistoryShortcuts() {
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const target = e.target;
+    if (target instanceof Element && target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      performUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      performRedo();
+    }
+  });
+}
+
+/**
+ * Opens a modal dialog
+ * @param {Object} options - { title, body (HTMLElement or HTML string), className }
+ * @returns {Object} - { dialog, body, close }
+ */
+function openModal({ title, body, className = '' }) {
+  const dialog = document.createElement('dialog');
+  dialog.className = `modal ${className}`.trim();
+  dialog.innerHTML = `
+    <div class="modal__header">
+      <h3 class="modal__title">${escapeHtml(title)}</h3>
+      <button type="button" class="modal__close" aria-label="關閉">✕</button>
+    </div>
+    <div class="modal__body"></div>
+  `;
+
+  const bodyEl = dialog.querySelector('.modal__body');
+  if (typeof body === 'string') {
+    bodyEl.innerHTML = body;
+  } else if (body) {
+    bodyEl.appendChild(body);
+  }
+
+  const close = () => dialog.close();
+  dialog.querySelector('.modal__close').addEventListener('click', close);
+
+  // Clicking the backdrop closes the dialog
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) close();
+  });
+  dialog.addEventListener('close', () => dialog.remove());
+
+  document.body.appendChild(dialog);
+  dialog.showModal();
+  return { dialog, body: bodyEl, close };
+}
+
+/**
+ * Updates the empty state for notes
+ * @param {string} sectionId - Section identifier
+ */
+function updateNotesEmptyState(sectionId) {
+  const section = document.getElementById(sectionId);
+  if (!section) return;
+
+  const notesList = section.querySelector('.notes-list');
+  const notes = AppState.getNotes(sectionId);
+
+  if (!notesList) return;
+
+  const existingEmpty = notesList.querySelector('.notes-list__empty');
+
+  if (notes.length === 0 && !existingEmpty) {
+    const emptyEl = document.createElement('li');
+    emptyEl.className = 'notes-list__empty';
+    emptyEl.textContent = '尚無註記，在上方輸入新增...';
+    notesList.appendChild(emptyEl);
+  } else if (notes.length > 0 && existingEmpty) {
+    existingEmpty.remove();
+  }
+}
+
+/**
+ * Creates my insights section from notes.js file
+ * @param {string} sectionId - Section identifier
+ * @returns {HTMLElement|null}
+ */
+function createMyInsightsSection(sectionId) {
+  // Check if notes.js is loaded and has notes for this section
+  if (typeof myNotes === 'undefined' || !myNotes[sectionId]) {
+    return null;
+  }
+
+  const notes = myNotes[sectionId];
+  if (!notes || notes.length === 0) {
+    return null;
+  }
+
+  const insightsSection = document.createElement('div');
+  insightsSection.className = 'insights-section';
+
+  // Create magazine-style header
+  const header = document.createElement('div');
+  header.className = 'insights-section__header';
+  header.innerHTML = `
+    <div class="insights-section__masthead">
+      <span class="insights-section__label">PERSONAL INSIGHTS</span>
+      <h3 class="insights-section__title">MY NOTES</h3>
+      <div class="insights-section__divider"></div>
+    </div>
+    <span class="insights-section__edit-hint">✎ notes.js</span>
+  `;
+  insightsSection.appendChild(header);
+
+  // Create notes grid
+  const notesGrid = document.createElement('div');
+  notesGrid.className = 'insights-grid';
+
+  notes.forEach((note, index) => {
+    const article = document.createElement('article');
+
+    // Determine style class
+    if (note.featured) {
+      article.className = 'insight-card insight-card--featured';
+    } else if (note.quote) {
+      article.className = 'insight-card insight-card--quote';
+    } else {
+      article.className = 'insight-card';
+    }
+
+    // Create inner content; notes.js may come from someone else, so nothing in it is trusted as HTML
+    const title = escapeHtml(note.title);
+    const content = escapeHtml(Array.isArray(note.content) ? note.content.join(' ') : note.content);
+    let contentHTML = '';
+
+    if (note.featured) {
+      // Featured style - large hero text
+      contentHTML = `
+        <div class="insight-card__featured-badge">FEATURED</div>
+        <h4 class="insight-card__title insight-card__title--featured">${title}</h4>
+        <p class="insight-card__text insight-card__text--featured">${content}</p>
+      `;
+    } else if (note.quote) {
+      // Quote style - editorial pull quote
+      contentHTML = `
+        <div class="insight-card__quote-mark">"</div>
+        <blockquote class="insight-card__blockquote">${content}</blockquote>
+        <cite class="insight-card__cite">— ${title}</cite>
+      `;
+    } else {
+      // Standard style
+      let bodyContent = '';
+      if (Array.isArray(note.content)) {
+        bodyContent = note.content.map(line => {
+          if (line === '') return '<div class="insight-card__spacer"></div>';
+          return `<p class="insight-card__line">${escapeHtml(line)}</p>`;
+        }).join('');
+      } else {
+        bodyContent = `<p class="insight-card__line">${content}</p>`;
+      }
+
+      contentHTML = `
+        <span class="insight-card__number">${String(index + 1).padStart(2, '0')}</span>
+        <h4 class="insight-card__title">${title}</h4>
+        <div class="insight-card__body">${bodyContent}</div>
+      `;
+    }
+
+    article.dataset.insightIndex = index;
+    article.innerHTML = contentHTML;
+    notesGrid.appendChild(article);
+  });
+
+  insightsSection.appendChild(notesGrid);
+  return insightsSection;
+}
+
+/**
+ * Creates a notes section element
+ * @param {string} sectionId - Section identifier
+ * @returns {HTMLElement}
+ */
+function createNotesSection(sectionId) {
+  const notesSection = document.createElement('div');
+  notesSection.className = 'notes-section';
+
+  notesSection.innerHTML = `
+    <div class="notes-section__header">
+      <h4 class="notes-section__title">
+        <span class="notes-section__title-icon">📝</span>
+        我的註記
+      </h4>
+    </div>
+    <form class="note-form">
+      <input type="text" class="note-form__input" placeholder="輸入註記內容..." />
+      <button type="submit" class="note-form__button">新增</button>
+    </form>
+    <ul class="notes-list"></ul>
+  `;
+
+  const form = notesSection.querySelector('.note-form');
+  const input = notesSection.querySelector('.note-form__input');
+  const notesList = notesSection.querySelector('.notes-list');
+
+  // Load existing notes
+  const existingNotes = AppState.getNotes(sectionId);
+  existingNotes.forEach(note => {
+    notesList.appendChild(createNoteItem(note, sectionId));
+  });
+
+  // Add empty state if no notes
+  if (existingNotes.length === 0) {
+    const emptyEl = document.createElement('li');
+    emptyEl.className = 'notes-list__empty';
+    emptyEl.textContent = '尚無註記，在上方輸入新增...';
+    notesList.appendChild(emptyEl);
+  }
+
+  // Handle form submission
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = input.value.trim();
+    if (text) {
+      const note = AppState.addNote(sectionId, text);
+
+      // Remove empty state if exists
+      const emptyEl = notesList.querySelector('.notes-list__empty');
+      if (emptyEl) {
+        emptyEl.remove();
+      }
+
+      notesList.appendChild(createNoteItem(note, sectionId));
+      input.value = '';
+    }
+  });
+
+  return notesSection;
+}
+
+/**
+ * Initializes a section with checklist data
+ * @param {string} sectionId - Section identifier
+ * @param {Array} subsections - Array of subsection data
+ */
+/**
+ * Initializes a checklist section
+ * @param {string} sectionId - Section identifier
+ * @param {string} sectionKey - Section key (e.g. 'viewing')
+ */
+function initializeSection(sectionId, sectionKey) {
+  const section = document.getElementById(sectionId);
+  if (!section) return;
+
   const content = section.querySelector('.section__content');
   if (!content) return;
 
-  // Clear existing content
-  content.innerHTML = '';
+  // Clear existing content
+  content.innerHTML = '';
+
+  // Add insights section from notes.js file (if exists)
+  const insightsSection = createMyInsightsSection(sectionId);
+  if (insightsSection) {
+    content.appendChild(insightsSection);
+  }
+
+  // Add notes section for dynamic user notes
+  content.appendChild(createNotesSection(sectionId));
+
+  // Add calculators and trackers for this stage
+  content.appendChild(createSectionTools(sectionKey));
+
+  // Get data from AppState
+  const subsections = AppState.getSectionStructure(sectionKey);
+
+  // Add subsections
+  subsections.forEach((subsection, index) => {
+    createSubsection(content, subsection, sectionKey, index);
+  });
+
+  // Add "Add Subsection" button
+  const addSubsectionBtn = document.createElement('button');
+  addSubsectionBtn.className = 'btn-add-subsection';
+  addSubsectionBtn.innerHTML = '+ 新增分類';
+  addSubsectionBtn.addEventListener('click', () => {
+    const newIndex = AppState.addSubsection(sectionKey);
+    if (newIndex >= 0) {
+      reRenderSection(sectionKey);
+      // Auto enter edit mode for the new subsection
+      setTimeout(() => {
+        const newSubsection = content.querySelector(`.subsection[data-subsection-index="${newIndex}"]`);
+        if (newSubsection) {
+          newSubsection.classList.add('subsection--editing');
+          newSubsection.querySelector('.subsection__edit-title').focus();
+        }
+      }, 50);
+    }
+  });
+  content.appendChild(addSubsectionBtn);
+
+  // Update progress
+  updateSectionProgress(sectionKey);
+
+  // Setup collapse functionality
+  setupSectionCollapse(sectionId);
+}
+
+/**
+ * Creates a subsection with items and add button
+ */
+function createSubsection(container, subsection, sectionKey, subsectionIndex) {
+  const subsectionEl = document.createElement('div');
+  subsectionEl.className = 'subsection';
+  subsectionEl.dataset.sectionKey = sectionKey;
+  subsectionEl.dataset.subsectionIndex = subsectionIndex;
+
+  const ul = document.createElement('ul');
+  ul.className = 'checklist';
+
+  subsection.items.forEach(item => {
+    ul.appendChild(createChecklistItem(item, sectionKey, subsectionIndex));
+  });
+
+  // Create header with edit/delete buttons
+  const headerEl = document.createElement('div');
+  headerEl.className = 'subsection__header';
+  headerEl.innerHTML = `
+    <h3 class="subsection__title">
+      <button type="button" class="drag-handle subsection__drag-handle" aria-label="調整「${escapeHtml(subsection.title)}」分類的順序（方向鍵上下移動）" title="拖曳或按方向鍵調整順序">⠿</button>
+      <span class="subsection__title-icon">${escapeHtml(subsection.icon || '📌')}</span>
+      <span class="subsection__title-text">${escapeHtml(subsection.title)}</span>
+      <span class="subsection__hidden-count"></span>
+    </h3>
+    <div class="subsection__actions">
+      <button class="subsection__edit-btn" title="編輯分類">✎</button>
+      <button class="subsection__delete-btn" title="刪除分類">✕</button>
+    </div>
+  `;
+
+  // Edit form (hidden by default)
+  const editFormEl = document.createElement('div');
+  editFormEl.className = 'subsection__edit-form';
+  editFormEl.innerHTML = `
+    <input type="text" class="subsection__edit-icon" placeholder="圖示" value="${escapeHtml(subsection.icon || '📌')}" maxlength="2" />
+    <input type="text" class="subsection__edit-title" placeholder="分類名稱" value="${escapeHtml(subsection.title)}" />
+    <div class="subsection__edit-actions">
+      <button type="button" class="subsection__edit-cancel">取消</button>
+      <button type="button" class="subsection__edit-save">儲存</button>
+    </div>
+  `;
+
+  subsectionEl.appendChild(headerEl);
+  subsectionEl.appendChild(editFormEl);
+  subsectionEl.appendChild(ul);
+
+  // Handle reordering by drag handle or arrow keys
+  setupReorder(subsectionEl, headerEl.querySelector('.subsection__drag-handle'), {
+    type: 'subsection',
+    sectionKey,
+    move: (toIndex) => AppState.moveSubsection(sectionKey, subsectionIndex, toIndex),
+    focusSelector: (toIndex) => `#section-${sectionKey} .subsection[data-subsection-index="${toIndex}"] .subsection__drag-handle`
+  });
+
+  // Handle edit button
+  const editBtn = headerEl.querySelector('.subsection__edit-btn');
+  editBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    subsectionEl.classList.add('subsection--editing');
+    editFormEl.querySelector('.subsection__edit-title').focus();
+  });
+
+  // Handle delete button
+  const deleteBtn = headerEl.querySelector('.subsection__delete-btn');
+  deleteBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (AppState.deleteSubsection(sectionKey, subsectionIndex)) {
+      reRenderSection(sectionKey);
+      updateTotalProgress();
+      showUndoToast();
+    }
+  });
+
+  // Handle save
+  const saveBtn = editFormEl.querySelector('.subsection__edit-save');
+  saveBtn.addEventListener('click', () => {
+    const newIcon = editFormEl.querySelector('.subsection__edit-icon').value.trim() || '📌';
+    const newTitle = editFormEl.querySelector('.subsection__edit-title').value.trim();
+    if (newTitle) {
+      AppState.updateSubsection(sectionKey, subsectionIndex, newTitle, newIcon);
+      reRenderSection(sectionKey);
+    }
+  });
+
+  // Handle cancel
+  const cancelBtn = editFormEl.querySelector('.subsection__edit-cancel');
+  cancelBtn.addEventListener('click', () => {
+    subsectionEl.classList.remove('subsection--editing');
+  });
+
+  // Add "Add Item" button
+  const addBtn = document.createElement('button');
+  addBtn.className = 'btn-add-item';
+  addBtn.textContent = '+ 新增項目';
+  addBtn.addEventListener('click', () => {
+    const newItem = AppState.addItem(sectionKey, subsectionIndex);
+    if (newItem) {
+      reRenderSection(sectionKey);
+      setTimeout(() => {
+        const newItemEl = document.querySelector(`li[data-item-id="${newItem.id}"]`);
+        if (newItemEl) {
+          enterEditMode(newItemEl);
+        }
+      }, 50);
+      updateTotalProgress();
+    }
+  });
+
+  subsectionEl.appendChild(addBtn);
+  subsectionEl.appendChild(createSubsectionTools(subsection));
+  container.appendChild(subsectionEl);
+  applyViewFilter(subsectionEl);
+}
+
+// BEM block of each reorderable element type
+const REORDER_BLOCKS = {
+  item: 'checklist__item',
+  subsection: 'subsection'
+};
+
+// Element currently being dragged and what it is, shared by all drop targets
+let activeDrag = null;
+
+/**
+ * Makes an element reorderable among its siblings of the same type
+ * Dragging starts from the handle; with the handle focused, ArrowUp/ArrowDown
+ * move the element one step. Either way the section is re-rendered afterwards
+ * so every data-subsection-index matches the saved structure again.
+ * @param {HTMLElement} element - Item or subsection element
+ * @param {HTMLElement} handle - Drag handle inside the element
+ * @param {Object} options - { type, sectionKey, move, focusSelector }
+ */
+function setupReorder(element, handle, { type, sectionKey, move, focusSelector }) {
+  const block = REORDER_BLOCKS[type];
+  const commitMove = (toIndex) => {
+    if (!move(toIndex)) return;
+    reRenderSection(sectionKey);
+    const moved = document.querySelector(focusSelector(toIndex));
+    if (moved) moved.focus();
+  };
+
+  handle.addEventListener('click', (e) => e.stopPropagation());
+
+  handle.addEventListener('keydown', (e) => {
+    const offset = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    if (!offset) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    // Step over items hidden by the view filter
+    const siblings = [...element.parentElement.children].filter(el => el.classList.contains(block));
+    let toIndex = siblings.indexOf(element) + offset;
+    while (siblings[toIndex] && siblings[toIndex].hidden) {
+      toIndex += offset;
+    }
+    commitMove(toIndex);
+  });
+
+  // Only the handle starts a drag, so text inside the element stays selectable;
+  // releasing without dragging makes the element non-draggable again
+  const endPress = () => {
+    element.draggable = false;
+  };
+  handle.addEventListener('pointerdown', () => {
+    element.draggable = true;
+    window.addEventListener('pointerup', endPress, { once: true });
+    window.addEventListener('pointercancel', endPress, { once: true });
+  });
+
+  element.addEventListener('dragstart', (e) => {
+    if (!element.draggable) return;
+    e.stopPropagation();
+    activeDrag = { element, type, sectionKey, commitMove };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', '');
+    element.classList.add(`${block}--dragging`);
+  });
+
+  element.addEventListener('dragend', () => {
+    element.draggable = false;
+    element.classList.remove(`${block}--dragging`);
+    clearDropIndicators();
+    activeDrag = null;
+  });
+
+  element.addEventListener('dragover', (e) => {
+    if (!canDropOn(element, type)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+
+    clearDropIndicators();
+    element.classList.add(`${block}--${isInLowerHalf(e, element) ? 'drop-after' : 'drop-before'}`);
+  });
+
+  element.addEventListener('drop', (e) => {
+    if (!canDropOn(element, type)) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const siblings = [...element.parentElement.children].filter(el => el.classList.contains(block));
+    const fromIndex = siblings.indexOf(activeDrag.element);
+    let toIndex = siblings.indexOf(element) + (isInLowerHalf(e, element) ? 1 : 0);
+    if (fromIndex < toIndex) toIndex -= 1;
+
+    const { commitMove: commit } = activeDrag;
+    clearDropIndicators();
+    commit(toIndex);
+  });
+}
+
+/**
+ * Checks whether the element being dragged may be dropped next to a target
+ * Items stay within their own list and subsections within their own section
+ * @param {HTMLElement} target - Element under the pointer
+ * @param {string} type - 'item' or 'subsection'
+ * @returns {boolean}
+ */
+function canDropOn(target, type) {
+  return Boolean(activeDrag) &&
+    activeDrag.type === type &&
+    activeDrag.element !== target &&
+    activeDrag.element.parentElement === target.parentElement;
+}
+
+/**
+ * Checks whether a drag event is over the lower half of an element
+ * @param {DragEvent} e - Drag event
+ * @param {HTMLElement} element - Drop target
+ * @returns {boolean}
+ */
+function isInLowerHalf(e, element) {
+  const rect = element.getBoundingClientRect();
+  return e.clientY > rect.top + rect.height / 2;
+}
+
+/**
+ * Removes the drop position markers
+ */
+function clearDropIndicators() {
+  Object.values(REORDER_BLOCKS).forEach(block => {
+    document.querySelectorAll(`.${block}--drop-before, .${block}--drop-after`).forEach(el => {
+      el.classList.remove(`${block}--drop-before`, `${block}--drop-after`);
+    });
+  });
+}
+
+/**
+ * Sets up collapse functionality for a section
+ * @param {string} sectionId - Section identifier
+ */
+function setupSectionCollapse(sectionId) {
+  const section = document.getElementById(sectionId);
+  if (!section) return;
+
+  const header = section.querySelector('.section__header');
+  if (!header) return;
+
+  // Apply initial collapsed state
+  if (AppState.isCollapsed(sectionId)) {
+    section.classList.add('section--collapsed');
+  }
+
+  // Sections are re-rendered often; bind the header only once
+  if (header.dataset.collapseBound) return;
+  header.dataset.collapseBound = 'true';
+
+  // Handle click
+  header.addEventListener('click', () => {
+    const isCollapsed = AppState.toggleCollapsed(sectionId);
+    section.classList.toggle('section--collapsed', isCollapsed);
+  });
+}
+
+// ========================================
+// Section Tools
+// ========================================
+
+// Calculators and trackers by id
+const TOOL_PANELS = {
+  mortgage: createMortgageCalculator,
+  affordability: createAffordabilityCheck,
+  'closing-costs': createClosingCostEstimator,
+  'loan-offers': createLoanOfferTracker,
+  negotiation: createNegotiationLog,
+  comparables: createComparablesPanel,
+  visits: createVisitLog,
+  milestones: createMilestonePlanner
+};
+
+// Tools that show data another tool saves, keyed by the tool saving it
+// (statuses the affordability check marks appear in the closing cost links)
+const TOOL_DEPENDENTS = {
+  mortgage: ['closing-costs', 'affordability', 'loan-offers'],
+  affordability: ['closing-costs'],
+  negotiation: ['comparables'],
+  comparables: ['negotiation']
+};
+
+// Tools shown in a section between its notes and its checklist
+const SECTION_TOOLS = {
+  viewing: ['visits'],
+  buying: ['affordability', 'closing-costs', 'milestones'],
+  loan: ['mortgage']
+};
+
+// Tools shown inside the subsection holding an anchor item, wherever it is moved;
+// if the item is deleted the tool falls back to the top of its section
+const SUBSECTION_TOOLS = {
+  'loan-offers': { sectionKey: 'loan', anchorItemId: 'l7' },
+  comparables: { sectionKey: 'buying', anchorItemId: 'b14' },
+  negotiation: { sectionKey: 'buying', anchorItemId: 'b15' }
+};
+
+/**
+ * Creates the tool panels of a section
+ * @param {string} sectionKey - Section key
+ * @returns {DocumentFragment}
+ */
+function createSectionTools(sectionKey) {
+  const fragment = document.createDocumentFragment();
+  const orphaned = Object.keys(SUBSECTION_TOOLS).filter(id =>
+    SUBSECTION_TOOLS[id].sectionKey === sectionKey && !AppState.findItem(SUBSECTION_TOOLS[id].anchorItemId)
+  );
+  (SECTION_TOOLS[sectionKey] || []).concat(orphaned).forEach(id => fragment.appendChild(TOOL_PANELS[id]()));
+  return fragment;
+}
+
+/**
+ * Creates the tool panels anchored to a subsection's items
+ * @param {Object} subsection - Subsection data
+ * @returns {DocumentFragment}
+ */
+function createSubsectionTools(subsection) {
+  const fragment = document.createDocumentFragment();
+  Object.entries(SUBSECTION_TOOLS).forEach(([id, { anchorItemId }]) => {
+    if (subsection.items.some(item => item.id === anchorItemId)) {
+      fragment.appendChild(TOOL_PANELS[id]());
+    }
+  });
+  return fragment;
+}
+
+/**
+ * Rebuilds the rendered tool panels that depend on what a tool saved
+ * @param {string} sourceId - Tool whose data changed, see TOOL_DEPENDENTS
+ */
+function refreshToolPanels(sourceId) {
+  const dependents = TOOL_DEPENDENTS[sourceId] || [];
+  document.querySelectorAll('.tool-panel[data-tool]').forEach(panel => {
+    const id = panel.dataset.tool;
+    if (dependents.includes(id)) panel.replaceWith(TOOL_PANELS[id]());
+  });
+}
+
+/**
+ * Creates a collapsible panel for a section tool
+ * @param {Object} options - { id, icon, title, subtitle }
+ * @returns {Object} - { panel, body }
+ */
+function createToolPanel({ id, icon, title, subtitle }) {
+  const panel = document.createElement('details');
+  panel.className = `tool-panel tool-panel--${id}`;
+  panel.dataset.tool = id;
+  panel.open = !AppState.isCollapsed(`tool-${id}`);
+  panel.innerHTML = `
+    <summary class="tool-panel__summary">
+      <span class="tool-panel__icon">${icon}</span>
+      <span class="tool-panel__heading">
+        <span class="tool-panel__title">${title}</span>
+        <span class="tool-panel__subtitle">${subtitle}</span>
+      </span>
+    </summary>
+    <div class="tool-panel__body"></div>
+  `;
+
+  // Remember open/closed like sections do
+  panel.addEventListener('toggle', () => {
+    if (panel.open === AppState.isCollapsed(`tool-${id}`)) {
+      AppState.toggleCollapsed(`tool-${id}`);
+    }
+  });
+
+  // Links from results back to the checklist
+  panel.addEventListener('click', (e) => {
+    const link = e.target.closest('.checklist-link');
+    if (!link) return;
+    const location = AppState.findItem(link.dataset.itemId);
+    if (location) revealInSection(location.sectionKey, `li[data-item-id="${link.dataset.itemId}"]`);
+  });
+
+  return { panel, body: panel.querySelector('.tool-panel__body') };
+}
+
+/**
+ * Reads a stored figure, which may come from an imported backup
+ * @param {*} value - Stored value
+ * @param {number|null} [fallback] - Returned when the value is not a finite number
+ * @returns {number|null}
+ */
+function toFiniteNumber(value, fallback = null) {
+  const number = value === null || value === '' ? NaN : Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Formats an amount in NT dollars
+ * @param {number} amount - Amount in 元
+ * @returns {string}
+ */
+function formatCurrency(amount) {
+  return `${Math.round(amount).toLocaleString('zh-TW')} 元`;
+}
+
+// ========================================
+// Mortgage Calculator
+// ========================================
+
+const MORTGAGE_METHODS = {
+  'equal-payment': '本息平均攤還',
+  'equal-principal': '本金平均攤還'
+};
+
+const MORTGAGE_DEFAULTS = {
+  price: null, // 萬元; falls back to the property's asking price
+  ltv: 80,
+  rate: 2.2,
+  years: 30,
+  graceYears: 0,
+  method: 'equal-payment'
+};
+
+/**
+ * Builds the month-by-month repayment schedule of a loan
+ * During the grace period only interest is paid; the principal is then repaid
+ * over the remaining months with either equal payments or equal principal
+ * @param {Object} loan - { principal (元), rate (annual %), years, graceYears, method }
+ * @returns {Object} - { rows, gracePayment, firstPayment, lastPayment, totalInterest, totalPaid }
+ */
+function computeAmortization({ principal, rate, years, graceYears, method }) {
+  const monthlyRate = rate / 100 / 12;
+  const months = Math.round(years * 12);
+  const graceMonths = Math.min(Math.round(graceYears * 12), Math.max(months - 1, 0));
+  const repayMonths = months - graceMonths;
+
+  const equalPayment = monthlyRate > 0
+    ? principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -repayMonths))
+    : principal / repayMonths;
+
+  const rows = [];
+  let balance = principal;
+  for (let month = 1; month <= months; month++) {
+    const interest = balance * monthlyRate;
+    let principalPaid = 0;
+    if (month > graceMonths) {
+      principalPaid = method === 'equal-principal' ? principal / repayMonths : equalPayment - interest;
+      // The last payment clears whatever rounding left over
+      if (month === months) principalPaid = balance;
+    }
+    balance -= principalPaid;
+    rows.push({ month, payment: principalPaid + interest, principal: principalPaid, interest, balance: Math.max(balance, 0) });
+  }
+
+  const totalInterest = rows.reduce((sum, row) => sum + row.interest, 0);
+  return {
+    rows,
+    graceMonths,
+    gracePayment: graceMonths > 0 ? rows[0].payment : null,
+    firstPayment: rows[graceMonths] ? rows[graceMonths].payment : 0,
+    lastPayment: rows.length > 0 ? rows[rows.length - 1].payment : 0,
+    totalInterest,
+    totalPaid: principal + totalInterest
+  };
+}
+
+/**
+ * Computes the highest regular payment of a loan, the one budgets must cover:
+ * the first payment after any grace period, which for equal principal is
+ * also the largest. Taken from the schedule so every tool uses the same math
+ * @param {Object} loan - { principal (元), rate (annual %), years, graceYears, method }
+ * @returns {number} - Monthly payment in 元
+ */
+function computeRegularPayment(loan) {
+  return computeAmortization(loan).firstPayment;
+}
+
+/**
+ * Reads the calculator inputs saved for the active property
+ * Anything that is not a usable value falls back to MORTGAGE_DEFAULTS
+ * @returns {Object} - Fields of MORTGAGE_DEFAULTS; price is null if never entered
+ */
+function getSavedMortgageInputs() {
+  const saved = AppState.getPropertyData('mortgage') || {};
+  const inputs = { method: MORTGAGE_METHODS[saved.method] ? saved.method : MORTGAGE_DEFAULTS.method };
+  ['price', 'ltv', 'rate', 'years', 'graceYears'].forEach(field => {
+    inputs[field] = toFiniteNumber(saved[field], MORTGAGE_DEFAULTS[field]);
+  });
+  return inputs;
+}
+
+/**
+ * Reads the calculator inputs of the active property
+ * @returns {Object} - Fields of MORTGAGE_DEFAULTS, with the asking price filled in
+ */
+function getMortgageInputs() {
+  const property = AppState.getActiveProperty();
+  const inputs = getSavedMortgageInputs();
+  if (inputs.price === null && property) {
+    inputs.price = toFiniteNumber(property.price);
+  }
+  return inputs;
+}
+
+/**
+ * Creates the mortgage calculator panel
+ * @returns {HTMLElement}
+ */
+function createMortgageCalculator() {
+  const { panel, body } = createToolPanel({
+    id: 'mortgage',
+    icon: '🧮',
+    title: '房貸試算',
+    subtitle: '月付金、總利息與攤還表'
+  });
+  const inputs = getMortgageInputs();
+  // While the price field shows the asking price it is saved as null, so
+  // later edits to the property's price still reach the calculator
+  let usesAskingPrice = getSavedMortgageInputs().price === null;
+  const methodOptions = Object.entries(MORTGAGE_METHODS).map(([value, label]) =>
+    `<option value="${value}"${value === inputs.method ? ' selected' : ''}>${label}</option>`
+  ).join('');
+
+  body.innerHTML = `
+    <form class="calculator">
+      <div class="calculator__fields">
+        <label class="calculator__field">
+          <span class="calculator__label">房屋總價（萬元）</span>
+          <input type="number" class="calculator__input" name="price" min="0" step="any" value="${inputs.price ?? ''}" />
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">貸款成數（%）</span>
+          <input type="number" class="calculator__input" name="ltv" min="0" max="100" step="any" value="${inputs.ltv}" />
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">年利率（%）</span>
+          <input type="number" class="calculator__input" name="rate" min="0" step="0.001" value="${inputs.rate}" />
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">還款年限（年）</span>
+          <input type="number" class="calculator__input" name="years" min="1" max="50" step="1" value="${inputs.years}" />
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">寬限期（年）</span>
+          <input type="number" class="calculator__input" name="graceYears" min="0" max="10" step="1" value="${inputs.graceYears}" />
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">還款方式</span>
+          <select class="calculator__input" name="method">${methodOptions}</select>
+        </label>
+      </div>
+      <div class="calculator__results" aria-live="polite"></div>
+      <details class="calculator__schedule">
+        <summary class="calculator__schedule-toggle">攤還表</summary>
+        <div class="calculator__table-wrap"></div>
+      </details>
+    </form>
+  `;
+
+  const form = body.querySelector('.calculator');
+  const results = body.querySelector('.calculator__results');
+  const schedule = body.querySelector('.calculator__schedule');
+  const tableWrap = body.querySelector('.calculator__table-wrap');
+  let current = null;
+
+  const readInputs = () => ({
+    price: form.elements.price.value === '' ? null : Number(form.elements.price.value),
+    ltv: Number(form.elements.ltv.value) || 0,
+    rate: Number(form.elements.rate.value) || 0,
+    years: Math.max(1, parseInt(form.elements.years.value, 10) || 1),
+    graceYears: Math.max(0, parseInt(form.elements.graceYears.value, 10) || 0),
+    method: form.elements.method.value
+  });
+
+  // The table can be 600 rows, so it is only built while open
+  const renderTable = () => {
+    if (!schedule.open || !current) {
+      tableWrap.innerHTML = '';
+      return;
+    }
+    tableWrap.innerHTML = `
+      <table class="calculator__table">
+        <thead><tr><th>期數</th><th>月付金</th><th>本金</th><th>利息</th><th>剩餘本金</th></tr></thead>
+        <tbody>
+          ${current.rows.map(row => `
+            <tr class="${row.month <= current.graceMonths ? 'calculator__row--grace' : ''}">
+              <td>${row.month}</td>
+              <td>${formatCurrency(row.payment)}</td>
+              <td>${formatCurrency(row.principal)}</td>
+              <td>${formatCurrency(row.interest)}</td>
+              <td>${formatCurrency(row.balance)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  };
+
+  const save = (e) => {
+    if (e.target.name === 'price') usesAskingPrice = false;
+    const values = readInputs();
+    AppState.setPropertyData('mortgage', { ...values, price: usesAskingPrice ? null : values.price });
+    update();
+  };
+
+  const update = () => {
+    const values = readInputs();
+    if (!values.price || values.ltv <= 0) {
+      current = null;
+      results.innerHTML = '<p class="calculator__empty">輸入房屋總價與貸款成數開始試算。</p>';
+      renderTable();
+      return;
+    }
+
+    const principal = values.price * 10000 * Math.min(values.ltv, 100) / 100;
+    current = computeAmortization({ principal, ...values });
+    const afterGrace = values.method === 'equal-principal'
+      ? `${formatCurrency(current.firstPayment)} → ${formatCurrency(current.lastPayment)}`
+      : formatCurrency(current.firstPayment);
+
+    results.innerHTML = `
+      <dl class="calculator__summary">
+        <div class="calculator__stat"><dt>貸款金額</dt><dd>${formatCurrency(principal)}</dd></div>
+        <div class="calculator__stat"><dt>自備款</dt><dd>${formatCurrency(values.price * 10000 - principal)}</dd></div>
+        ${current.gracePayment !== null ? `
+          <div class="calculator__stat"><dt>寬限期月付（${current.graceMonths} 期，只繳利息）</dt><dd>${formatCurrency(current.gracePayment)}</dd></div>
+        ` : ''}
+        <div class="calculator__stat calculator__stat--main"><dt>${current.gracePayment !== null ? '寬限期後月付' : '每月應繳'}</dt><dd>${afterGrace}</dd></div>
+        <div class="calculator__stat"><dt>總利息</dt><dd>${formatCurrency(current.totalInterest)}</dd></div>
+        <div class="calculator__stat"><dt>總還款</dt><dd>${formatCurrency(current.totalPaid)}</dd></div>
+      </dl>
+    `;
+    renderTable();
+  };
+
+  form.addEventListener('input', save);
+  // Other tools read these inputs; rebuild them once an edit is committed
+  form.addEventListener('change', () => {
+    autoMarkAffordability();
+    refreshToolPanels('mortgage');
+  });
+  form.addEventListener('submit', (e) => e.preventDefault());
+  schedule.addEventListener('toggle', renderTable);
+  update();
+
+  return panel;
+}
+
+// ========================================
+// Closing Cost Estimator
+// ========================================
+
+const CLOSING_COST_DEFAULTS = {
+  price: null, // 萬元; falls back to the mortgage calculator's price
+  buildingValue: null, // 房屋評定現值, 萬元
+  landValue: null, // 土地公告現值, 萬元
+  agentRate: 2,
+  deedTaxRate: 6,
+  stampDutyRate: 0.1,
+  scrivenerFee: 1.5,
+  renovation: 0
+};
+
+// Rates the reset button restores
+const CLOSING_COST_RATES = ['agentRate', 'deedTaxRate', 'stampDutyRate', 'scrivenerFee'];
+
+/**
+ * Computes the cash needed at closing
+ * 契稅 is levied on the building's assessed value; 印花稅 on the assessed
+ * values of building and land together, as written in the 公契
+ * @param {Object} inputs - Estimator inputs (萬元 and %)
+ * @param {number} ltv - Loan-to-value from the mortgage calculator (%)
+ * @returns {Object} - { lines, fees, downPayment, total } in 元
+ */
+function computeClosingCosts(inputs, ltv) {
+  const price = (inputs.price || 0) * 10000;
+  const buildingValue = (inputs.buildingValue || 0) * 10000;
+  const landValue = (inputs.landValue || 0) * 10000;
+
+  const lines = [
+    { itemId: 'b3', label: '仲介費', amount: price * inputs.agentRate / 100 },
+    { itemId: 'b4', label: '代書費', amount: inputs.scrivenerFee * 10000 },
+    { itemId: 'b5', label: '契稅', amount: buildingValue * inputs.deedTaxRate / 100 },
+    { itemId: 'b6', label: '印花稅', amount: (buildingValue + landValue) * inputs.stampDutyRate / 100 },
+    { itemId: 'b7', label: '裝修預算', amount: inputs.renovation * 10000 }
+  ];
+  const fees = lines.reduce((sum, line) => sum + line.amount, 0);
+  const downPayment = price * (1 - Math.min(Math.max(ltv, 0), 100) / 100);
+
+  return { lines, fees, downPayment, total: downPayment + fees };
+}
+
+/**
+ * Reads the estimator inputs as stored for the active property
+ * @returns {Object} - Fields of CLOSING_COST_DEFAULTS, price null when unset
+ */
+function getSavedClosingCostInputs() {
+  const saved = AppState.getPropertyData('closingCosts') || {};
+  const inputs = {};
+  Object.keys(CLOSING_COST_DEFAULTS).forEach(field => {
+    inputs[field] = toFiniteNumber(saved[field], CLOSING_COST_DEFAULTS[field]);
+  });
+  return inputs;
+}
+
+/**
+ * Reads the estimator inputs of the active property
+ * @returns {Object} - Fields of CLOSING_COST_DEFAULTS, with the mortgage price filled in
+ */
+function getClosingCostInputs() {
+  const inputs = getSavedClosingCostInputs();
+  if (inputs.price === null) {
+    inputs.price = getMortgageInputs().price;
+  }
+  return inputs;
+}
+
+/**
+ * Creates a button that reveals a checklist item
+ * @param {string} itemId - Item identifier
+ * @returns {string} - HTML, empty if the item was deleted
+ */
+function createChecklistLink(itemId) {
+  const location = AppState.findItem(itemId);
+  if (!location) return '';
+
+  const item = AppState.resolveItem(location.item);
+  const status = AppState.getItemStatus(itemId);
+  return `
+    <button type="button" class="checklist-link${status ? ` checklist-link--${status}` : ''}" data-item-id="${escapeHtml(itemId)}" title="前往檢查項目">
+      ${status ? `${ITEM_STATUSES[status].icon} ` : ''}${escapeHtml(item.text)}
+    </button>
+  `;
+}
+
+/**
+ * Creates the closing cost estimator panel
+ * @returns {HTMLElement}
+ */
+function createClosingCostEstimator() {
+  const { panel, body } = createToolPanel({
+    id: 'closing-costs',
+    icon: '💰',
+    title: '交屋費用試算',
+    subtitle: '仲介費、代書費、契稅、印花稅與自備款'
+  });
+  const inputs = getClosingCostInputs();
+  // Saved as null while the price field shows the mortgage price, as in
+  // the mortgage calculator
+  let usesMortgagePrice = getSavedClosingCostInputs().price === null;
+  const field = (name, label, attrs) => `
+    <label class="calculator__field">
+      <span class="calculator__label">${label}</span>
+      <input type="number" class="calculator__input" name="${name}" min="0" step="any" ${attrs || ''} value="${inputs[name] ?? ''}" />
+    </label>
+  `;
+
+  body.innerHTML = `
+    <form class="calculator">
+      <div class="calculator__fields">
+        ${field('price', '成交價（萬元）')}
+        ${field('buildingValue', '房屋評定現值（萬元）')}
+        ${field('landValue', '土地公告現值（萬元）')}
+        ${field('renovation', '裝修預算（萬元）')}
+      </div>
+      <fieldset class="calculator__rates">
+        <legend class="calculator__label">費率</legend>
+        <div class="calculator__fields">
+          ${field('agentRate', '仲介費率（%）', 'max="100"')}
+          ${field('deedTaxRate', '契稅率（%）', 'max="100"')}
+          ${field('stampDutyRate', '印花稅率（%）', 'max="100"')}
+          ${field('scrivenerFee', '代書費（萬元）')}
+        </div>
+        <button type="button" class="calculator__button calculator__reset">恢復預設費率</button>
+      </fieldset>
+      <div class="calculator__results" aria-live="polite"></div>
+    </form>
+  `;
+
+  const form = body.querySelector('.calculator');
+  const results = body.querySelector('.calculator__results');
+
+  const readInputs = () => {
+    const number = (name) => Math.max(0, Number(form.elements[name].value) || 0);
+    const optional = (name) => form.elements[name].value === '' ? null : number(name);
+    return {
+      price: optional('price'),
+      buildingValue: optional('buildingValue'),
+      landValue: optional('landValue'),
+      agentRate: number('agentRate'),
+      deedTaxRate: number('deedTaxRate'),
+      stampDutyRate: number('stampDutyRate'),
+      scrivenerFee: number('scrivenerFee'),
+      renovation: number('renovation')
+    };
+  };
+
+  const save = () => {
+    const values = readInputs();
+    AppState.setPropertyData('closingCosts', { ...values, price: usesMortgagePrice ? null : values.price });
+  };
+
+  const update = () => {
+    const values = readInputs();
+    if (!values.price) {
+      results.innerHTML = '<p class="calculator__empty">輸入成交價開始試算。</p>';
+      return;
+    }
+
+    const { ltv } = getMortgageInputs();
+    const costs = computeClosingCosts(values, ltv);
+    const missingValues = values.buildingValue === null && values.landValue === null;
+
+    results.innerHTML = `
+      <table class="calculator__table calculator__table--rows">
+        <tbody>
+          ${costs.lines.map(line => `
+            <tr>
+              <th scope="row">${line.label}</th>
+              <td>${formatCurrency(line.amount)}</td>
+              <td class="calculator__link-cell">${createChecklistLink(line.itemId)}</td>
+            </tr>
+          `).join('')}
+          <tr class="calculator__row--total">
+            <th scope="row">費用小計</th>
+            <td>${formatCurrency(costs.fees)}</td>
+            <td></td>
+          </tr>
+          <tr>
+            <th scope="row">頭期款（貸款 ${ltv}%）</th>
+            <td>${formatCurrency(costs.downPayment)}</td>
+            <td class="calculator__link-cell">${createChecklistLink('b1')}</td>
+          </tr>
+        </tbody>
+      </table>
+      <dl class="calculator__summary">
+        <div class="calculator__stat calculator__stat--main"><dt>交屋前需準備現金</dt><dd>${formatCurrency(costs.total)}</dd></div>
+      </dl>
+      ${missingValues ? '<p class="calculator__empty">契稅與印花稅依評定現值計算，可向代書或屋主索取房屋稅單。</p>' : ''}
+      <p class="calculator__empty">貸款成數取自房貸試算。</p>
+    `;
+  };
+
+  form.addEventListener('input', (e) => {
+    if (e.target.name === 'price') usesMortgagePrice = false;
+    save();
+    update();
+  });
+  form.addEventListener('submit', (e) => e.preventDefault());
+  form.querySelector('.calculator__reset').addEventListener('click', () => {
+    CLOSING_COST_RATES.forEach(name => {
+      form.elements[name].value = CLOSING_COST_DEFAULTS[name];
+    });
+    save();
+    update();
+  });
+  update();
+
+  return panel;
+}
+
+// ========================================
+// Affordability Check
+// ========================================
+
+const FINANCE_DEFAULTS = {
+  income: null, // Household monthly income, 元
+  obligations: 0, // Existing monthly debt payments, 元
+  savings: null, // Savings set aside for the down payment, 萬元
+  ratio: 30, // Share of income that may go to housing, %
+  autoMark: true // Mark 頭期款準備 and 月付款能力 from the result
+};
+
+/**
+ * Computes the largest loan and price the household can carry
+ * The payment limit caps the loan; savings cap the down payment; the loan
+ * terms come from the mortgage calculator. Payments scale with the loan, so
+ * the limit uses the same regular payment as checkPropertyAffordability()
+ * @param {Object} finance - Household finances, see FINANCE_DEFAULTS
+ * @param {Object} loan - { rate, years, graceYears, method, ltv }
+ * @returns {Object} - { maxPayment, maxPrice, maxLoan, limitedBy } in 元; null when unknown
+ */
+function computeAffordability(finance, loan) {
+  const ltv = Math.min(Math.max(loan.ltv, 0), 100) / 100;
+
+  const maxPayment = finance.income
+    ? Math.max(finance.income * finance.ratio / 100 - finance.obligations, 0)
+    : null;
+  // Payment per 元 borrowed
+  const paymentRate = computeRegularPayment({ ...loan, principal: 1 });
+  let paymentLimit = null;
+  if (maxPayment !== null && ltv > 0 && paymentRate > 0) {
+    paymentLimit = maxPayment / paymentRate / ltv;
+  }
+  const savingsLimit = finance.savings !== null && ltv < 1
+    ? finance.savings * 10000 / (1 - ltv)
+    : null;
+
+  const limits = [
+    { limitedBy: 'payment', price: paymentLimit },
+    { limitedBy: 'savings', price: savingsLimit }
+  ].filter(limit => limit.price !== null);
+  if (limits.length === 0) {
+    return { maxPayment, maxPrice: null, maxLoan: null, limitedBy: null };
+  }
+
+  const lowest = limits.reduce((min, limit) => (limit.price < min.price ? limit : min));
+  return { maxPayment, maxPrice: lowest.price, maxLoan: lowest.price * ltv, limitedBy: lowest.limitedBy };
+}
+
+/**
+ * Checks the active property against the household finances
+ * @param {Object} finance - Household finances
+ * @param {Object} mortgage - Mortgage calculator inputs
+ * @param {Object} affordability - Result of computeAffordability()
+ * @returns {Object|null} - { payment, downPayment, statuses: { [itemId]: status } }, null without a price
+ */
+function checkPropertyAffordability(finance, mortgage, affordability) {
+  if (!mortgage.price) return null;
+
+  const price = mortgage.price * 10000;
+  const principal = price * Math.min(Math.max(mortgage.ltv, 0), 100) / 100;
+  const payment = principal > 0 ? computeRegularPayment({ ...mortgage, principal }) : 0;
+  const downPayment = price - principal;
+
+  const statuses = {};
+  if (finance.savings !== null) {
+    statuses.b1 = finance.savings * 10000 >= downPayment ? 'pass' : 'concern';
+  }
+  if (affordability.maxPayment !== null) {
+    statuses.b2 = payment <= affordability.maxPayment ? 'pass' : 'concern';
+  }
+  return { price, payment, downPayment, statuses };
+}
+
+/**
+ * Sets checklist statuses suggested by a tool on items not assessed yet, and
+ * revises those the same tool set before; a status the user chose is never
+ * overwritten. All of them share one undo step
+ * @param {Object} statuses - { [itemId]: status }
+ * @param {string} source - Tool suggesting the statuses
+ * @returns {boolean} - Whether any status was set
+ */
+function applySuggestedStatuses(statuses, source) {
+  const pending = Object.entries(statuses).filter(([itemId, status]) => {
+    if (!AppState.findItem(itemId)) return false;
+    const current = AppState.getItemStatus(itemId);
+    return !current || (current !== status && AppState.getItemStatusSource(itemId) === source);
+  });
+  if (pending.length === 0) return false;
+
+  HistoryManager.record('自動標記評估');
+  pending.forEach(([itemId, status]) => {
+    AppState.setItemStatus(itemId, status, source);
+    const li = document.querySelector(`li[data-item-id="${itemId}"]`);
+    if (li) refreshItemState(li, itemId, AppState.findItem(itemId).sectionKey);
+  });
+  return true;
+}
+
+/**
+ * Marks 頭期款準備 and 月付款能力 from the saved finances and the active
+ * property's mortgage inputs, when the affordability check is set to
+ * @returns {boolean} - Whether any status was set
+ */
+function autoMarkAffordability() {
+  const finance = AppState.finance;
+  if (!finance.autoMark) return false;
+
+  const mortgage = getMortgageInputs();
+  const check = checkPropertyAffordability(finance, mortgage, computeAffordability(finance, mortgage));
+  return check ? applySuggestedStatuses(check.statuses, 'affordability') : false;
+}
+
+/**
+ * Creates the affordability check panel
+ * @returns {HTMLElement}
+ */
+function createAffordabilityCheck() {
+  const { panel, body } = createToolPanel({
+    id: 'affordability',
+    icon: '📊',
+    title: '負擔能力評估',
+    subtitle: '依收入與存款估算可負擔的總價'
+  });
+  const finance = AppState.finance;
+
+  body.innerHTML = `
+    <form class="calculator">
+      <div class="calculator__fields">
+        <label class="calculator__field">
+          <span class="calculator__label">家庭月收入（元）</span>
+          <input type="number" class="calculator__input" name="income" min="0" step="any" value="${finance.income ?? ''}" />
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">每月既有負債（元）</span>
+          <input type="number" class="calculator__input" name="obligations" min="0" step="any" value="${finance.obligations}" />
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">頭期款存款（萬元）</span>
+          <input type="number" class="calculator__input" name="savings" min="0" step="any" value="${finance.savings ?? ''}" />
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">房貸占收入上限（%）</span>
+          <input type="number" class="calculator__input" name="ratio" min="0" max="100" step="any" value="${finance.ratio}" />
+        </label>
+      </div>
+      <label class="calculator__option">
+        <input type="checkbox" name="autoMark"${finance.autoMark ? ' checked' : ''} />
+        依結果自動標記「頭期款準備」與「月付款能力」
+      </label>
+      <div class="calculator__results" aria-live="polite"></div>
+    </form>
+  `;
+
+  const form = body.querySelector('.calculator');
+  const results = body.querySelector('.calculator__results');
+
+  const readInputs = () => {
+    const number = (name) => Math.max(0, Number(form.elements[name].value) || 0);
+    const optional = (name) => form.elements[name].value === '' ? null : number(name);
+    return {
+      income: optional('income'),
+      obligations: number('obligations'),
+      savings: optional('savings'),
+      ratio: number('ratio'),
+      autoMark: form.elements.autoMark.checked
+    };
+  };
+
+  const update = () => {
+    const values = readInputs();
+    const mortgage = getMortgageInputs();
+    const affordability = computeAffordability(values, mortgage);
+    if (affordability.maxPrice === null) {
+      results.innerHTML = '<p class="calculator__empty">輸入家庭月收入或頭期款存款開始評估。</p>';
+      return;
+    }
+
+    const check = checkPropertyAffordability(values, mortgage, affordability);
+
+    const fits = check && check.price <= affordability.maxPrice;
+    const verdict = fits
+      ? '<p class="calculator__verdict calculator__verdict--pass">✓ 物件總價在可負擔範圍內</p>'
+      : `<p class="calculator__verdict calculator__verdict--concern">! 物件總價超出可負擔上限 ${formatCurrency(check ? check.price - affordability.maxPrice : 0)}</p>`;
+
+    results.innerHTML = `
+      <dl class="calculator__summary">
+        ${affordability.maxPayment !== null ? `
+          <div class="calculator__stat"><dt>每月可負擔房貸</dt><dd>${formatCurrency(affordability.maxPayment)}</dd></div>
+        ` : ''}
+        <div class="calculator__stat"><dt>最高貸款金額</dt><dd>${formatCurrency(affordability.maxLoan)}</dd></div>
+        <div class="calculator__stat calculator__stat--main">
+          <dt>最高可負擔總價（受${affordability.limitedBy === 'payment' ? '月付' : '存款'}限制）</dt>
+          <dd>${formatCurrency(affordability.maxPrice)}</dd>
+        </div>
+      </dl>
+      ${check ? `
+        ${verdict}
+        <table class="calculator__table calculator__table--rows">
+          <tbody>
+            <tr>
+              <th scope="row">頭期款（總價 ${mortgage.price} 萬）</th>
+              <td>${formatCurrency(check.downPayment)}</td>
+              <td class="calculator__link-cell">${createChecklistLink('b1')}</td>
+            </tr>
+            <tr>
+              <th scope="row">每月應繳</th>
+              <td>${formatCurrency(check.payment)}</td>
+              <td class="calculator__link-cell">${createChecklistLink('b2')}</td>
+            </tr>
+          </tbody>
+        </table>
+      ` : '<p class="calculator__empty">在房貸試算輸入房屋總價，即可檢查此物件是否負擔得起。</p>'}
+      <p class="calculator__empty">利率、年限、寬限期、還款方式與貸款成數取自房貸試算。</p>
+    `;
+  };
+
+  form.addEventListener('input', () => {
+    AppState.setFinance(readInputs());
+    update();
+  });
+  // Statuses are only suggested once a value is committed
+  form.addEventListener('change', () => {
+    if (autoMarkAffordability()) {
+      refreshToolPanels('affordability');
+      update();
+    }
+  });
+  form.addEventListener('submit', (e) => e.preventDefault());
+  update();
+
+  return panel;
+}
+
+// ========================================
+// Loan Offers
+// ========================================
+
+const LOAN_RATE_TYPES = {
+  variable: '機動利率',
+  fixed: '固定利率',
+  mixed: '混合利率'
+};
+
+/**
+ * Reads the loan offers saved for the active property
+ * @returns {Object} - { offers, chosenId }
+ */
+function getLoanOffers() {
+  return { offers: [], chosenId: null, ...AppState.getPropertyData('loanOffers') };
+}
+
+/**
+ * Ranks loan offers by what they cost over the whole loan
+ * Every offer is priced on the same loan, the amount and term of the mortgage
+ * calculator, so costs compare like for like; the total cost is the interest
+ * plus the offer's fees. An offer lending less is only flagged as a shortfall
+ * @param {Array} offers - Saved offers
+ * @param {Object} mortgage - Mortgage calculator inputs
+ * @returns {Array} - [{ offer, totalCost, firstPayment, shortfall }], cheapest first; costs are null without a loan amount
+ */
+function rankLoanOffers(offers, mortgage) {
+  const principal = (mortgage.price || 0) * 10000 * Math.min(Math.max(mortgage.ltv, 0), 100) / 100;
+
+  const ranked = offers.map(offer => {
+    const shortfall = offer.ltv < mortgage.ltv;
+    if (principal <= 0) {
+      return { offer, totalCost: null, firstPayment: null, shortfall };
+    }
+    const schedule = computeAmortization({
+      principal,
+      rate: offer.rate,
+      years: mortgage.years,
+      graceYears: offer.graceYears,
+      method: mortgage.method
+    });
+    return {
+      offer,
+      totalCost: schedule.totalInterest + offer.fees,
+      firstPayment: schedule.firstPayment,
+      shortfall
+    };
+  });
+
+  return principal > 0 ? ranked.sort((a, b) => a.totalCost - b.totalCost) : ranked;
+}
+
+/**
+ * Opens the add/edit form for a loan offer
+ * @param {Object|null} offer - Offer to edit, or null to add a new one
+ * @param {Function} onSave - Called with the saved offer
+ */
+function openLoanOfferForm(offer, onSave) {
+  const rateOptions = Object.entries(LOAN_RATE_TYPES).map(([value, label]) =>
+    `<option value="${value}">${label}</option>`
+  ).join('');
+
+  const form = document.createElement('form');
+  form.className = 'property-form';
+  form.innerHTML = `
+    <div class="property-form__grid">
+      <label class="property-form__field">
+        <span class="property-form__label">銀行</span>
+        <input type="text" class="property-form__input" name="bank" required placeholder="例如：土地銀行" />
+      </label>
+      <label class="property-form__field">
+        <span class="property-form__label">專員</span>
+        <input type="text" class="property-form__input" name="officer" placeholder="姓名、分行" />
+      </label>
+      <label class="property-form__field">
+        <span class="property-form__label">利率類型</span>
+        <select class="property-form__input" name="rateType">${rateOptions}</select>
+      </label>
+      <label class="property-form__field">
+        <span class="property-form__label">年利率（%）</span>
+        <input type="number" class="property-form__input" name="rate" required min="0" step="0.001" placeholder="例如：2.185" />
+      </label>
+      <label class="property-form__field">
+        <span class="property-form__label">貸款成數（%）</span>
+        <input type="number" class="property-form__input" name="ltv" min="0" max="100" step="any" value="80" />
+      </label>
+      <label class="property-form__field">
+        <span class="property-form__label">寬限期（年）</span>
+        <input type="number" class="property-form__input" name="graceYears" min="0" max="10" step="1" value="0" />
+      </label>
+      <label class="property-form__field">
+        <span class="property-form__label">手續費（元）</span>
+        <input type="number" class="property-form__input" name="fees" min="0" step="any" value="0" placeholder="開辦費、鑑價費等" />
+      </label>
+      <label class="property-form__field">
+        <span class="property-form__label">報價日期</span>
+        <input type="date" class="property-form__input" name="quotedAt" />
+      </label>
+    </div>
+    <label class="property-form__field">
+      <span class="property-form__label">提前還款違約金</span>
+      <input type="text" class="property-form__input" name="penalty" placeholder="例如：前 2 年 1%" />
+    </label>
+    <div class="property-form__actions">
+      <span></span>
+      <button type="submit" class="property-form__save">${offer ? '儲存' : '新增'}</button>
+    </div>
+  `;
+
+  const fields = ['bank', 'officer', 'rateType', 'rate', 'ltv', 'graceYears', 'fees', 'quotedAt', 'penalty'];
+  if (offer) {
+    fields.forEach(name => {
+      form.elements[name].value = offer[name] ?? '';
+    });
+  } else {
+    form.elements.quotedAt.value = new Date().toISOString().slice(0, 10);
+  }
+
+  const modal = openModal({ title: offer ? '編輯貸款報價' : '新增貸款報價', body: form });
+  form.elements.bank.focus();
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const bank = form.elements.bank.value.trim();
+    if (!bank) {
+      form.elements.bank.focus();
+      return;
+    }
+    const number = (name) => Math.max(0, Number(form.elements[name].value) || 0);
+    onSave({
+      id: offer ? offer.id : `offer_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      bank,
+      officer: form.elements.officer.value.trim(),
+      rateType: form.elements.rateType.value,
+      rate: number('rate'),
+      ltv: Math.min(number('ltv'), 100),
+      graceYears: Math.round(number('graceYears')),
+      fees: number('fees'),
+      quotedAt: form.elements.quotedAt.value,
+      penalty: form.elements.penalty.value.trim()
+    });
+    modal.close();
+  });
+}
+
+/**
+ * Creates the loan offer tracker panel
+ * @returns {HTMLElement}
+ */
+function createLoanOfferTracker() {
+  const { panel, body } = createToolPanel({
+    id: 'loan-offers',
+    icon: '🏦',
+    title: '銀行貸款報價',
+    subtitle: '比較各銀行條件，依總成本排序'
+  });
+
+  const save = (data) => {
+    AppState.setPropertyData('loanOffers', data);
+    render();
+  };
+
+  const render = () => {
+    const data = getLoanOffers();
+    const mortgage = getMortgageInputs();
+    const ranked = rankLoanOffers(data.offers, mortgage);
+    const priced = ranked.length > 0 && ranked[0].totalCost !== null;
+
+    body.innerHTML = `
+      ${ranked.length === 0 ? '<p class="calculator__empty">尚未記錄任何報價。同一家銀行的不同專員也可以分開記錄。</p>' : `
+        <div class="calculator__table-wrap">
+          <table class="calculator__table loan-offers">
+            <thead>
+              <tr>
+                <th>#</th><th>銀行／專員</th><th>利率</th><th>成數</th><th>寬限期</th>
+                <th>違約金</th><th>手續費</th><th>報價日</th><th>月付</th><th>總成本</th><th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${ranked.map(({ offer, totalCost, firstPayment, shortfall }, index) => {
+                const chosen = offer.id === data.chosenId;
+                return `
+                  <tr class="loan-offers__row${chosen ? ' loan-offers__row--chosen' : ''}" data-offer-id="${escapeHtml(offer.id)}">
+                    <td>${priced ? index + 1 : ''}</td>
+                    <td class="loan-offers__bank">
+                      ${chosen ? '<span class="loan-offers__badge">已選定</span>' : ''}
+                      ${escapeHtml(offer.bank)}
+                      ${offer.officer ? `<span class="loan-offers__officer">${escapeHtml(offer.officer)}</span>` : ''}
+                    </td>
+                    <td>${offer.rate}%<span class="loan-offers__officer">${LOAN_RATE_TYPES[offer.rateType] || ''}</span></td>
+                    <td class="${shortfall ? 'loan-offers__shortfall' : ''}" title="${shortfall ? `低於房貸試算的 ${mortgage.ltv}%` : ''}">${offer.ltv}%</td>
+                    <td>${offer.graceYears > 0 ? `${offer.graceYears} 年` : '無'}</td>
+                    <td>${escapeHtml(offer.penalty || '—')}</td>
+                    <td>${formatCurrency(offer.fees)}</td>
+                    <td>${escapeHtml(offer.quotedAt || '—')}</td>
+                    <td>${firstPayment !== null ? formatCurrency(firstPayment) : '—'}</td>
+                    <td class="loan-offers__cost">${totalCost !== null ? formatCurrency(totalCost) : '—'}</td>
+                    <td class="loan-offers__actions">
+                      <button type="button" class="loan-offers__btn" data-action="choose">${chosen ? '取消選定' : '選定'}</button>
+                      <button type="button" class="loan-offers__btn" data-action="edit" title="編輯">✎</button>
+                      <button type="button" class="loan-offers__btn" data-action="delete" title="刪除">✕</button>
+                    </td>
+                  </tr>
+                `;
+              }).join('')}
+            </tbody>
+          </table>
+        </div>
+      `}
+      <p class="calculator__empty">
+        ${priced
+          ? `總成本＝總利息＋手續費，各報價都以房貸試算的貸款金額、${mortgage.years} 年計算；成數標紅表示低於試算所需，差額需以自備款補足。`
+          : '在房貸試算輸入房屋總價，即可依總成本排序。'}
+      </p>
+      <button type="button" class="btn-add-item loan-offers__add">+ 新增報價</button>
+    `;
+  };
+
+  body.addEventListener('click', (e) => {
+    if (e.target.closest('.loan-offers__add')) {
+      openLoanOfferForm(null, (offer) => {
+        const data = getLoanOffers();
+        save({ ...data, offers: data.offers.concat(offer) });
+      });
+      return;
+    }
+
+    const button = e.target.closest('.loan-offers__btn');
+    if (!button) return;
+    const data = getLoanOffers();
+    const offerId = button.closest('.loan-offers__row').dataset.offerId;
+    const offer = data.offers.find(o => o.id === offerId);
+    if (!offer) return;
+
+    if (button.dataset.action === 'choose') {
+      save({ ...data, chosenId: data.chosenId === offerId ? null : offerId });
+    } else if (button.dataset.action === 'edit') {
+      openLoanOfferForm(offer, (updated) => {
+        save({ ...data, offers: data.offers.map(o => (o.id === offerId ? updated : o)) });
+      });
+    } else if (button.dataset.action === 'delete' && window.confirm(`確定要刪除「${offer.bank}」的報價嗎？`)) {
+      save({
+        offers: data.offers.filter(o => o.id !== offerId),
+        chosenId: data.chosenId === offerId ? null : data.chosenId
+      });
+    }
+  });
+
+  render();
+  return panel;
+}
+
+// ========================================
+// Negotiation Log
+// ========================================
+
+const NEGOTIATION_PARTIES = {
+  buyer: '我方出價',
+  seller: '屋主還價'
+};
+
+/**
+ * Reads the negotiation log as stored for the active property
+ * Prices that are not numbers read as unset, and rounds without a known
+ * party or a price are left out
+ * @returns {Object} - { askingPrice, walkAway, deposit, rounds } with prices in 萬元; askingPrice is null when unset
+ */
+function getSavedNegotiation() {
+  const saved = AppState.getPropertyData('negotiation') || {};
+  return {
+    ...saved,
+    askingPrice: toFiniteNumber(saved.askingPrice),
+    walkAway: toFiniteNumber(saved.walkAway),
+    deposit: toFiniteNumber(saved.deposit),
+    rounds: (Array.isArray(saved.rounds) ? saved.rounds : [])
+      .filter(round => isPlainObject(round) && NEGOTIATION_PARTIES[round.party] && toFiniteNumber(round.price) !== null)
+      .map(round => ({ ...round, price: Number(round.price) }))
+  };
+}
+
+/**
+ * Reads the negotiation log of the active property
+ * @returns {Object} - { askingPrice, walkAway, deposit, rounds }, with the property's price as the asking price
+ */
+function getNegotiation() {
+  const property = AppState.getActiveProperty();
+  const negotiation = getSavedNegotiation();
+  if (negotiation.askingPrice === null && property) {
+    negotiation.askingPrice = toFiniteNumber(property.price) || null;
+  }
+  return negotiation;
+}
+
+/**
+ * Describes how far a price is below the asking price
+ * @param {number} price - Price in 萬元
+ * @param {number|null} askingPrice - Asking price in 萬元
+ * @returns {string}
+ */
+function formatAskingGap(price, askingPrice) {
+  if (!askingPrice) return '';
+  const gap = askingPrice - price;
+  const percent = (gap / askingPrice * 100).toFixed(1);
+  if (gap === 0) return '等於開價';
+  return gap > 0 ? `低於開價 ${formatPrice(gap)}（${percent}%）` : `高於開價 ${formatPrice(-gap)}`;
+}
+
+/**
+ * Renders each round as a bar between the lowest price involved and the asking price
+ * @param {Object} negotiation - Negotiation log
+ * @returns {string} - HTML
+ */
+function renderNegotiationChart(negotiation) {
+  const { askingPrice, walkAway, rounds } = negotiation;
+  if (!askingPrice || rounds.length === 0) return '';
+
+  // Start a little below the lowest price so the smallest bar stays visible
+  const lowest = Math.min(...rounds.map(round => round.price), walkAway || askingPrice);
+  const floor = lowest * 0.95;
+  const top = Math.max(askingPrice, ...rounds.map(round => round.price));
+  const position = (price) => ((price - floor) / (top - floor) * 100).toFixed(1);
+  // Drawn in every track so the marks line up into one walk-away line
+  const limit = walkAway
+    ? `<span class="negotiation-chart__limit" style="left: ${position(walkAway)}%" title="議價底線 ${formatPrice(walkAway)}"></span>`
+    : '';
+
+  return `
+    <div class="negotiation-chart" role="img" aria-label="各輪出價與開價的差距">
+      <div class="negotiation-chart__row negotiation-chart__row--asking">
+        <span class="negotiation-chart__label">開價</span>
+        <span class="negotiation-chart__track">
+          <span class="negotiation-chart__bar" style="width: ${position(askingPrice)}%"></span>
+          ${limit}
+        </span>
+        <span class="negotiation-chart__value">${formatPrice(askingPrice)}</span>
+      </div>
+      ${rounds.map(round => `
+        <div class="negotiation-chart__row negotiation-chart__row--${round.party}">
+          <span class="negotiation-chart__label">${escapeHtml(round.date || '')}</span>
+          <span class="negotiation-chart__track">
+            <span class="negotiation-chart__bar" style="width: ${position(round.price)}%"></span>
+            ${limit}
+          </span>
+          <span class="negotiation-chart__value">${formatPrice(round.price)}</span>
+        </div>
+      `).join('')}
+      ${walkAway ? `<p class="negotiation-chart__legend">紅色虛線為議價底線 ${formatPrice(walkAway)}</p>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Creates the negotiation log panel
+ * @returns {HTMLElement}
+ */
+function createNegotiationLog() {
+  const { panel, body } = createToolPanel({
+    id: 'negotiation',
+    icon: '🤝',
+    title: '斡旋與議價紀錄',
+    subtitle: '開價、底線與每一輪出價'
+  });
+  const negotiation = getNegotiation();
+  // Saved as null while the field shows the property's price, like the
+  // mortgage calculator's price
+  let usesPropertyPrice = getSavedNegotiation().askingPrice === null;
+  const partyOptions = Object.entries(NEGOTIATION_PARTIES).map(([value, label]) =>
+    `<option value="${value}">${label}</option>`
+  ).join('');
+
+  body.innerHTML = `
+    <form class="calculator negotiation__settings">
+      <div class="calculator__fields">
+        <label class="calculator__field">
+          <span class="calculator__label">開價（萬元）</span>
+          <input type="number" class="calculator__input" name="askingPrice" min="0" step="any" value="${negotiation.askingPrice ?? ''}" />
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">議價底線（萬元）</span>
+          <input type="number" class="calculator__input" name="walkAway" min="0" step="any" value="${negotiation.walkAway ?? ''}" />
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">已付斡旋金／訂金（萬元）</span>
+          <input type="number" class="calculator__input" name="deposit" min="0" step="any" value="${negotiation.deposit ?? ''}" />
+        </label>
+      </div>
+    </form>
+    <p class="calculator__empty negotiation__comps"></p>
+    <div class="negotiation__log"></div>
+    <form class="negotiation__add">
+      <div class="calculator__fields">
+        <label class="calculator__field">
+          <span class="calculator__label">日期</span>
+          <input type="date" class="calculator__input" name="date" value="${new Date().toISOString().slice(0, 10)}" />
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">出價方</span>
+          <select class="calculator__input" name="party">${partyOptions}</select>
+        </label>
+        <label class="calculator__field">
+          <span class="calculator__label">金額（萬元）</span>
+          <input type="number" class="calculator__input" name="price" min="0" step="any" required />
+        </label>
+      </div>
+      <label class="calculator__field">
+        <span class="calculator__label">仲介說法</span>
+        <input type="text" class="calculator__input" name="comment" placeholder="例如：屋主說再加 20 萬可以談" />
+      </label>
+      <p class="calculator__verdict calculator__verdict--concern negotiation__warning" hidden></p>
+      <button type="submit" class="btn-add-item">+ 記錄這一輪</button>
+    </form>
+  `;
+
+  const settings = body.querySelector('.negotiation__settings');
+  const comps = body.querySelector('.negotiation__comps');
+  const log = body.querySelector('.negotiation__log');
+  const addForm = body.querySelector('.negotiation__add');
+  const warning = body.querySelector('.negotiation__warning');
 
-  // Add insights section from notes.js file (if exists)
-  const insightsSection = createMyInsightsSection(sectionId);
-  if (insightsSection) {
-    content.appendChild(insightsSection);
+  const save = (changes) => {
+    AppState.setPropertyData('negotiation', { ...getSavedNegotiation(), ...changes });
+  };
+
+  const exceedsWalkAway = (party, price) => {
+    const { walkAway } = getNegotiation();
+    return party === 'buyer' && walkAway !== null && price > walkAway;
+  };
+
+  const renderComps = () => {
+    const { askingPrice } = getNegotiation();
+    const saved = getComparables();
+    const summary = saved.summary;
+    comps.hidden = !summary || summary.count === 0;
+    if (comps.hidden) return;
+
+    const comparison = compareToComparables(askingPrice, saved, summary);
+    comps.textContent = `實價登錄行情：每坪中位數 ${formatUnitPrice(summary.median)}（${summary.count} 筆）`
+      + (comparison ? `，開價${formatComparison(comparison)}` : '');
+  };
+
+  const renderLog = () => {
+    const current = getNegotiation();
+    const latestOffer = current.rounds.filter(round => round.party === 'buyer').pop();
+
+    log.innerHTML = current.rounds.length === 0 ? '<p class="calculator__empty">尚未記錄任何出價。</p>' : `
+      ${renderNegotiationChart(current)}
+      <ol class="negotiation__rounds">
+        ${current.rounds.map(round => `
+          <li class="negotiation__round negotiation__round--${round.party}${exceedsWalkAway(round.party, round.price) ? ' negotiation__round--over' : ''}" data-round-id="${escapeHtml(round.id)}">
+            <span class="negotiation__round-meta">${escapeHtml(round.date || '')} · ${NEGOTIATION_PARTIES[round.party]}</span>
+            <strong class="negotiation__round-price">${formatPrice(round.price)}</strong>
+            <span class="negotiation__round-gap">${formatAskingGap(round.price, current.askingPrice)}</span>
+            ${round.comment ? `<span class="negotiation__round-comment">${escapeHtml(round.comment)}</span>` : ''}
+            <button type="button" class="negotiation__round-delete" title="刪除">✕</button>
+          </li>
+        `).join('')}
+      </ol>
+      ${latestOffer && current.deposit ? `
+        <p class="calculator__empty">斡旋金 ${formatPrice(current.deposit)}，約為最新出價的 ${(current.deposit / latestOffer.price * 100).toFixed(1)}%。</p>
+      ` : ''}
+    `;
+  };
+
+  const updateWarning = () => {
+    const price = Number(addForm.elements.price.value);
+    const over = addForm.elements.price.value !== '' && exceedsWalkAway(addForm.elements.party.value, price);
+    warning.hidden = !over;
+    if (over) {
+      warning.textContent = `! 這次出價超過議價底線 ${formatPrice(getNegotiation().walkAway)}（多出 ${formatPrice(price - getNegotiation().walkAway)}）`;
+    }
+  };
+
+  settings.addEventListener('input', (e) => {
+    if (e.target.name === 'askingPrice') usesPropertyPrice = false;
+    const optional = (name) => settings.elements[name].value === '' ? null : Math.max(0, Number(settings.elements[name].value) || 0);
+    save({
+      askingPrice: usesPropertyPrice ? null : optional('askingPrice'),
+      walkAway: optional('walkAway'),
+      deposit: optional('deposit')
+    });
+    renderComps();
+    renderLog();
+    updateWarning();
+  });
+  settings.addEventListener('change', () => refreshToolPanels('negotiation'));
+  settings.addEventListener('submit', (e) => e.preventDefault());
+
+  addForm.addEventListener('input', updateWarning);
+  addForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const price = Number(addForm.elements.price.value);
+    if (!(price > 0)) {
+      addForm.elements.price.focus();
+      return;
+    }
+    const party = addForm.elements.party.value;
+    if (exceedsWalkAway(party, price) && !window.confirm(`出價 ${formatPrice(price)} 已超過議價底線，確定要記錄嗎？`)) {
+      return;
+    }
+
+    const round = {
+      id: `round_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      date: addForm.elements.date.value,
+      party,
+      price,
+      comment: addForm.elements.comment.value.trim()
+    };
+    // Keep rounds in date order; same-day rounds stay in the order they were entered
+    const rounds = getNegotiation().rounds.concat(round)
+      .map((r, index) => ({ r, index }))
+      .sort((a, b) => (a.r.date || '').localeCompare(b.r.date || '') || a.index - b.index)
+      .map(({ r }) => r);
+    save({ rounds });
+
+    addForm.elements.price.value = '';
+    addForm.elements.comment.value = '';
+    // The other side usually answers next
+    addForm.elements.party.value = party === 'buyer' ? 'seller' : 'buyer';
+    renderLog();
+    updateWarning();
+  });
+
+  log.addEventListener('click', (e) => {
+    const button = e.target.closest('.negotiation__round-delete');
+    if (!button) return;
+    const roundId = button.closest('.negotiation__round').dataset.roundId;
+    if (window.confirm('確定要刪除這一輪紀錄嗎？')) {
+      save({ rounds: getNegotiation().rounds.filter(round => round.id !== roundId) });
+      renderLog();
+    }
+  });
+
+  renderComps();
+  renderLog();
+  return panel;
+}
+
+// ========================================
+// Comparable Sales
+// ========================================
+
+const SQM_PER_PING = 3.305785;
+
+// Only the most recent transactions are kept, since they live in localStorage
+const COMPARABLES_LIMIT = 1000;
+
+// Columns of the 實價登錄 open-data CSV; punctuation in header names varies between releases
+const COMPARABLE_COLUMNS = {
+  district: '鄉鎮市區',
+  target: '交易標的',
+  address: '土地位置建物門牌',
+  date: '交易年月日',
+  floor: '移轉層次',
+  type: '建物型態',
+  builtAt: '建築完成年月',
+  area: '建物移轉總面積平方公尺',
+  price: '總價元',
+  parkingArea: '車位移轉總面積平方公尺',
+  parkingPrice: '車位總價元'
+};
+
+const CHINESE_DIGITS = { 零: 0, 一: 1, 二: 2, 兩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+/**
+ * Splits CSV text into rows of fields, honouring quoted fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
   }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
 
-  // Add notes section for dynamic user notes
-  content.appendChild(createNotesSection(sectionId));
+/**
+ * Parses a Republic of China calendar date such as 1120315 or 0950612
+ * @param {string} value - Date digits, day optional
+ * @returns {Object|null} - { year, month, day } in the Gregorian calendar
+ */
+function parseRocDate(value) {
+  const digits = String(value || '').trim();
+  if (!/^\d{5,7}$/.test(digits)) return null;
+
+  const year = parseInt(digits.slice(0, -4), 10) + 1911;
+  const month = parseInt(digits.slice(-4, -2), 10);
+  const day = parseInt(digits.slice(-2), 10);
+  if (month < 1 || month > 12) return null;
+  return { year, month, day: day || 1 };
+}
 
-  // Get data from AppState
-  const subsections = AppState.getSectionStructure(sectionKey);
+/**
+ * Parses a Chinese numeral below one hundred, e.g. 十二 or 二十三
+ * @param {string} text - Chinese numeral
+ * @returns {number|null}
+ */
+function parseChineseNumber(text) {
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+  if (!text || !/^[零一二兩三四五六七八九十]+$/.test(text)) return null;
+
+  const tenIndex = text.indexOf('十');
+  if (tenIndex === -1) return CHINESE_DIGITS[text] ?? null;
+  const tens = tenIndex === 0 ? 1 : CHINESE_DIGITS[text.slice(0, tenIndex)];
+  const ones = text.slice(tenIndex + 1) ? CHINESE_DIGITS[text.slice(tenIndex + 1)] : 0;
+  return tens === undefined || ones === undefined ? null : tens * 10 + ones;
+}
 
-  // Add subsections
-  subsections.forEach((subsection, index) => {
-    createSubsection(content, subsection, sectionKey, index);
+/**
+ * Reads the first floor of a 移轉層次 value such as 十二層，十三層 or 地下一層
+ * @param {string} value - Floor description
+ * @returns {number|null} - Floor number, negative below ground
+ */
+function parseFloor(value) {
+  const match = String(value || '').match(/(地下)?([零一二兩三四五六七八九十\d]+)層/);
+  if (!match) return null;
+  const floor = parseChineseNumber(match[2]);
+  if (floor === null) return null;
+  return match[1] ? -floor : floor;
+}
+
+/**
+ * Parses a 實價登錄 CSV into building transactions
+ * Parking is taken out of both price and area so unit prices compare like for like
+ * @param {string} text - CSV text
+ * @returns {Object} - { records, skipped }, records newest first
+ * @throws {Error} If the file does not have the 實價登錄 columns
+ */
+function parseComparables(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  const normalize = (name) => name.replace(/[()（）\s]/g, '');
+  const headers = (rows[0] || []).map(normalize);
+  const columns = {};
+  Object.entries(COMPARABLE_COLUMNS).forEach(([key, name]) => {
+    columns[key] = headers.indexOf(normalize(name));
   });
+  if (columns.district === -1 || columns.price === -1 || columns.area === -1) {
+    throw new Error('找不到實價登錄的欄位，請確認是從內政部實價登錄下載的 CSV 檔（UTF-8）。');
+  }
 
-  // Add "Add Subsection" button
-  const addSubsectionBtn = document.createElement('button');
-  addSubsectionBtn.className = 'btn-add-subsection';
-  addSubsectionBtn.innerHTML = '+ 新增分類';
-  addSubsectionBtn.addEventListener('click', () => {
-    const newIndex = AppState.addSubsection(sectionKey);
-    if (newIndex >= 0) {
-      reRenderSection(sectionKey);
-      // Auto enter edit mode for the new subsection
-      setTimeout(() => {
-        const newSubsection = content.querySelector(`.subsection[data-subsection-index="${newIndex}"]`);
-        if (newSubsection) {
-          newSubsection.classList.add('subsection--editing');
-          newSubsection.querySelector('.subsection__edit-title').focus();
-        }
-      }, 50);
+  const value = (row, key) => (columns[key] === -1 ? '' : (row[columns[key]] || '').trim());
+  const records = [];
+  let skipped = 0;
+
+  // The second row repeats the headers in English
+  const dataRows = rows.slice(1).filter((row, index) => index > 0 || /^\d/.test(value(row, 'price')));
+  dataRows.forEach(row => {
+    const date = parseRocDate(value(row, 'date'));
+    const price = Number(value(row, 'price')) - (Number(value(row, 'parkingPrice')) || 0);
+    const area = (Number(value(row, 'area')) - (Number(value(row, 'parkingArea')) || 0)) / SQM_PER_PING;
+    if (!date || !(price > 0) || !(area > 0) || (value(row, 'target') && !value(row, 'target').includes('建物'))) {
+      skipped++;
+      return;
     }
+
+    const built = parseRocDate(value(row, 'builtAt'));
+    records.push({
+      district: value(row, 'district'),
+      address: value(row, 'address'),
+      date: `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`,
+      floor: parseFloor(value(row, 'floor')),
+      type: value(row, 'type').replace(/\(.*\)$/, ''),
+      builtYear: built ? built.year + (built.month - 1) / 12 : null,
+      area: Math.round(area * 100) / 100,
+      price: Math.round(price / 10000 * 10) / 10,
+      unitPrice: Math.round(price / 10000 / area * 100) / 100
+    });
   });
-  content.appendChild(addSubsectionBtn);
 
-  // Update progress
-  updateSectionProgress(sectionKey);
+  records.sort((a, b) => b.date.localeCompare(a.date));
+  return { records: records.slice(0, COMPARABLES_LIMIT), skipped: skipped + Math.max(records.length - COMPARABLES_LIMIT, 0) };
+}
 
-  // Setup collapse functionality
-  setupSectionCollapse(sectionId);
+/**
+ * Checks that a stored value has the shape parseComparables() gives a record
+ * @param {*} record - Value to check
+ * @returns {boolean}
+ */
+function isComparableRecord(record) {
+  const optionalNumber = (value) => value === null || Number.isFinite(value);
+  return isPlainObject(record)
+    && ['district', 'address', 'date', 'type'].every(field => typeof record[field] === 'string')
+    && ['area', 'price', 'unitPrice'].every(field => Number.isFinite(record[field]))
+    && optionalNumber(record.floor)
+    && optionalNumber(record.builtYear);
 }
 
 /**
- * Creates a subsection with items and add button
+ * Keeps the transactions that match the filters
+ * @param {Array} records - Parsed transactions
+ * @param {Object} filters - { district, minAge, maxAge, minFloor, maxFloor }; null means no limit
+ * @returns {Array}
  */
-function createSubsection(container, subsection, sectionKey, subsectionIndex) {
-  const subsectionEl = document.createElement('div');
-  subsectionEl.className = 'subsection';
-  subsectionEl.dataset.sectionKey = sectionKey;
-  subsectionEl.dataset.subsectionIndex = subsectionIndex;
+function filterComparables(records, filters) {
+  const now = new Date();
+  const currentYear = now.getFullYear() + now.getMonth() / 12;
+  const within = (number, min, max) =>
+    (min === null || (number !== null && number >= min)) && (max === null || (number !== null && number <= max));
+
+  return records.filter(record => {
+    const age = record.builtYear === null ? null : currentYear - record.builtYear;
+    return (!filters.district || record.district === filters.district)
+      && within(age, filters.minAge, filters.maxAge)
+      && within(record.floor, filters.minFloor, filters.maxFloor);
+  });
+}
 
-  const ul = document.createElement('ul');
-  ul.className = 'checklist';
+/**
+ * Summarizes unit prices of transactions
+ * @param {Array} records - Transactions
+ * @returns {Object} - { count, median, average, min, max } in 萬元 per 坪
+ */
+function summarizeComparables(records) {
+  const prices = records.map(record => record.unitPrice).sort((a, b) => a - b);
+  if (prices.length === 0) return { count: 0, median: null, average: null, min: null, max: null };
+
+  const middle = Math.floor(prices.length / 2);
+  return {
+    count: prices.length,
+    median: prices.length % 2 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2,
+    average: prices.reduce((sum, price) => sum + price, 0) / prices.length,
+    min: prices[0],
+    max: prices[prices.length - 1]
+  };
+}
 
-  subsection.items.forEach(item => {
-    ul.appendChild(createChecklistItem(item, sectionKey, subsectionIndex));
+/**
+ * Formats a unit price in 萬元 per 坪
+ * @param {number} price - Unit price
+ * @returns {string}
+ */
+function formatUnitPrice(price) {
+  return `${price.toFixed(1)} 萬/坪`;
+}
+
+/**
+ * Compares an asking price with the comparable median
+ * @param {number|null} askingPrice - Asking price in 萬元
+ * @param {Object} comps - Saved comparables: { area, parkingPrice }
+ * @param {Object} summary - Result of summarizeComparables()
+ * @returns {Object|null} - { unitPrice, percent }, null without enough data
+ */
+function compareToComparables(askingPrice, comps, summary) {
+  if (!askingPrice || !comps.area || !summary.median) return null;
+
+  const unitPrice = (askingPrice - (comps.parkingPrice || 0)) / comps.area;
+  return { unitPrice, percent: (unitPrice / summary.median - 1) * 100 };
+}
+
+/**
+ * Describes a comparison with the comparable median
+ * @param {Object} comparison - Result of compareToComparables()
+ * @returns {string} - e.g. 高於行情 8.2%（每坪 52.3 萬/坪）
+ */
+function formatComparison({ unitPrice, percent }) {
+  return `${percent > 0 ? '高於' : '低於'}行情 ${Math.abs(percent).toFixed(1)}%（${formatUnitPrice(unitPrice)}）`;
+}
+
+/**
+ * Reads the transactions imported for the active property
+ * They are kept under their own key rather than on the property record,
+ * which is rewritten on every change to any property
+ * @returns {Object} - { fileName, importedAt, records }; malformed records are left out
+ */
+function getComparableSales() {
+  const sales = isPlainObject(AppState.comparableSales) ? AppState.comparableSales : {};
+  return {
+    fileName: typeof sales.fileName === 'string' ? sales.fileName : '',
+    importedAt: typeof sales.importedAt === 'string' ? sales.importedAt : null,
+    records: Array.isArray(sales.records) ? sales.records.filter(isComparableRecord) : []
+  };
+}
+
+/**
+ * Stores the transactions imported for the active property
+ * @param {Object|null} sales - { fileName, importedAt, records }, or null to remove them
+ */
+function saveComparableSales(sales) {
+  const key = AppState.scopedKey(COMPARABLES_KEY);
+  if (sales) {
+    StorageManager.write(key, sales);
+  } else {
+    localStorage.removeItem(key);
+  }
+  AppState.comparableSales = sales;
+}
+
+/**
+ * Reads the comparable settings as saved with the active property's negotiation
+ * @returns {Object} - { filters, area, parkingPrice, summary }; area is null when unset, summary until records are imported
+ */
+function getSavedComparables() {
+  const { comps } = getSavedNegotiation();
+  const saved = isPlainObject(comps) ? comps : {};
+  const filters = isPlainObject(saved.filters) ? saved.filters : {};
+  return {
+    filters: {
+      district: typeof filters.district === 'string' ? filters.district : '',
+      minAge: toFiniteNumber(filters.minAge),
+      maxAge: toFiniteNumber(filters.maxAge),
+      minFloor: toFiniteNumber(filters.minFloor),
+      maxFloor: toFiniteNumber(filters.maxFloor)
+    },
+    area: toFiniteNumber(saved.area),
+    parkingPrice: toFiniteNumber(saved.parkingPrice),
+    summary: isPlainObject(saved.summary) && Number.isFinite(saved.summary.median) ? saved.summary : null
+  };
+}
+
+/**
+ * Reads the comparable settings of the active property
+ * The property's area defaults to the 權狀坪數 of its profile
+ * @returns {Object} - Result of getSavedComparables(), with the area filled in
+ */
+function getComparables() {
+  const comps = getSavedComparables();
+  if (comps.area === null) {
+    comps.area = toFiniteNumber(getPropertyProfile().registeredArea);
+  }
+  return comps;
+}
+
+/**
+ * Creates the comparable sales panel
+ * @returns {HTMLElement}
+ */
+function createComparablesPanel() {
+  const { panel, body } = createToolPanel({
+    id: 'comparables',
+    icon: '📈',
+    title: '實價登錄行情',
+    subtitle: '匯入成交資料，比較每坪單價'
   });
 
-  // Create header with edit/delete buttons
-  const headerEl = document.createElement('div');
-  headerEl.className = 'subsection__header';
-  headerEl.innerHTML = `
-    <h3 class="subsection__title">
-      <span class="subsection__title-icon">${subsection.icon || '📌'}</span>
-      <span class="subsection__title-text">${subsection.title}</span>
-    </h3>
-    <div class="subsection__actions">
-      <button class="subsection__edit-btn" title="編輯分類">✎</button>
-      <button class="subsection__delete-btn" title="刪除分類">✕</button>
-    </div>
+  let sales = getComparableSales();
+  // Saved as null while the area field shows the profile's 權狀坪數, so
+  // only what the user entered is stored
+  let usesProfileArea = getSavedComparables().area === null;
+
+  // The summary is saved with the negotiation so the log can quote it
+  const save = (changes) => {
+    const comps = { ...getSavedComparables(), ...changes };
+    comps.summary = summarizeComparables(filterComparables(sales.records, comps.filters));
+    AppState.setPropertyData('negotiation', { ...getSavedNegotiation(), comps });
+  };
+
+  const importFile = async (file) => {
+    try {
+      const { records, skipped } = parseComparables(await file.text());
+      if (records.length === 0) {
+        throw new Error('檔案中沒有可用的建物成交資料。');
+      }
+      saveComparableSales({ fileName: file.name, importedAt: new Date().toISOString(), records });
+      sales = getComparableSales();
+      save({ filters: { ...getSavedComparables().filters, district: '' } });
+      refreshToolPanels('comparables');
+      render();
+      showToast(`已匯入 ${records.length} 筆成交資料${skipped > 0 ? `，略過 ${skipped} 筆` : ''}`);
+    } catch (error) {
+      window.alert(`無法匯入：${error.message}`);
+    }
+  };
+
+  const render = () => {
+    const comps = getComparables();
+    if (sales.records.length === 0) {
+      body.innerHTML = `
+        <p class="calculator__empty">從內政部不動產成交案件實際資訊資料供應系統下載 CSV，匯入後只在本機分析，不會上傳。</p>
+        <button type="button" class="btn-add-item comparables__import">匯入實價登錄 CSV</button>
+      `;
+      return;
+    }
+
+    const { filters } = comps;
+    const districts = Array.from(new Set(sales.records.map(record => record.district))).sort();
+    const matches = filterComparables(sales.records, filters);
+    const summary = summarizeComparables(matches);
+    const comparison = compareToComparables(getNegotiation().askingPrice, comps, summary);
+    const number = (value) => value ?? '';
+
+    body.innerHTML = `
+      <p class="comparables__source">
+        ${escapeHtml(sales.fileName)} · ${sales.records.length} 筆${sales.importedAt ? ` · 匯入於 ${new Date(sales.importedAt).toLocaleDateString('zh-TW')}` : ''}
+        <button type="button" class="calculator__button comparables__import">重新匯入</button>
+        <button type="button" class="calculator__button comparables__clear">清除</button>
+      </p>
+      <form class="calculator comparables__filters">
+        <div class="calculator__fields">
+          <label class="calculator__field">
+            <span class="calculator__label">行政區</span>
+            <select class="calculator__input" name="district">
+              <option value="">全部</option>
+              ${districts.map(district => `<option value="${escapeHtml(district)}"${district === filters.district ? ' selected' : ''}>${escapeHtml(district)}</option>`).join('')}
+            </select>
+          </label>
+          <label class="calculator__field">
+            <span class="calculator__label">屋齡（年）</span>
+            <span class="comparables__range">
+              <input type="number" class="calculator__input" name="minAge" min="0" placeholder="最小" value="${number(filters.minAge)}" />
+              <input type="number" class="calculator__input" name="maxAge" min="0" placeholder="最大" value="${number(filters.maxAge)}" />
+            </span>
+          </label>
+          <label class="calculator__field">
+            <span class="calculator__label">樓層</span>
+            <span class="comparables__range">
+              <input type="number" class="calculator__input" name="minFloor" placeholder="最低" value="${number(filters.minFloor)}" />
+              <input type="number" class="calculator__input" name="maxFloor" placeholder="最高" value="${number(filters.maxFloor)}" />
+            </span>
+          </label>
+          <label class="calculator__field">
+            <span class="calculator__label">物件坪數（不含車位）</span>
+            <input type="number" class="calculator__input" name="area" min="0" step="any" value="${number(comps.area)}" />
+          </label>
+          <label class="calculator__field">
+            <span class="calculator__label">車位價格（萬元）</span>
+            <input type="number" class="calculator__input" name="parkingPrice" min="0" step="any" value="${number(comps.parkingPrice)}" />
+          </label>
+        </div>
+      </form>
+      <div class="comparables__results" aria-live="polite"></div>
+    `;
+
+    const results = body.querySelector('.comparables__results');
+    const renderResults = (current, currentSummary, currentComparison) => {
+      if (currentSummary.count === 0) {
+        results.innerHTML = '<p class="calculator__empty">沒有符合條件的成交資料。</p>';
+        return;
+      }
+      results.innerHTML = `
+        <dl class="calculator__summary">
+          <div class="calculator__stat"><dt>符合筆數</dt><dd>${currentSummary.count}</dd></div>
+          <div class="calculator__stat calculator__stat--main"><dt>每坪中位數</dt><dd>${formatUnitPrice(currentSummary.median)}</dd></div>
+          <div class="calculator__stat"><dt>每坪平均</dt><dd>${formatUnitPrice(currentSummary.average)}</dd></div>
+          <div class="calculator__stat"><dt>每坪範圍</dt><dd>${currentSummary.min.toFixed(1)}–${currentSummary.max.toFixed(1)} 萬</dd></div>
+        </dl>
+        ${currentComparison
+          ? `<p class="calculator__verdict calculator__verdict--${currentComparison.percent > 0 ? 'concern' : 'pass'}">開價${formatComparison(currentComparison)}</p>`
+          : '<p class="calculator__empty">填入物件坪數即可比較開價與行情；開價取自斡旋與議價紀錄。</p>'}
+        <div class="calculator__table-wrap">
+          <table class="calculator__table comparables__table">
+            <thead><tr><th>日期</th><th>地址</th><th>型態</th><th>樓層</th><th>坪數</th><th>總價</th><th>每坪</th></tr></thead>
+            <tbody>
+              ${current.slice(0, 50).map(record => `
+                <tr>
+                  <td>${escapeHtml(record.date)}</td>
+                  <td class="comparables__address">${escapeHtml(record.address)}</td>
+                  <td>${escapeHtml(record.type)}</td>
+                  <td>${escapeHtml(record.floor ?? '—')}</td>
+                  <td>${record.area.toFixed(1)}</td>
+                  <td>${formatPrice(record.price)}</td>
+                  <td>${record.unitPrice.toFixed(1)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        ${current.length > 50 ? `<p class="calculator__empty">只列出最近 50 筆。</p>` : ''}
+      `;
+    };
+    renderResults(matches, summary, comparison);
+
+    const form = body.querySelector('.comparables__filters');
+    form.addEventListener('submit', (e) => e.preventDefault());
+    form.addEventListener('input', (e) => {
+      if (e.target.name === 'area') usesProfileArea = false;
+      const optional = (name) => (form.elements[name].value === '' ? null : Number(form.elements[name].value));
+      save({
+        filters: {
+          district: form.elements.district.value,
+          minAge: optional('minAge'),
+          maxAge: optional('maxAge'),
+          minFloor: optional('minFloor'),
+          maxFloor: optional('maxFloor')
+        },
+        area: usesProfileArea ? null : optional('area'),
+        parkingPrice: optional('parkingPrice')
+      });
+      const current = getComparables();
+      const currentMatches = filterComparables(sales.records, current.filters);
+      const currentSummary = summarizeComparables(currentMatches);
+      renderResults(currentMatches, currentSummary, compareToComparables(getNegotiation().askingPrice, current, currentSummary));
+    });
+    form.addEventListener('change', () => refreshToolPanels('comparables'));
+  };
+
+  body.addEventListener('click', (e) => {
+    if (e.target.closest('.comparables__import')) {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.csv,text/csv';
+      input.addEventListener('change', () => {
+        if (input.files.length > 0) importFile(input.files[0]);
+      });
+      input.click();
+    } else if (e.target.closest('.comparables__clear') && window.confirm('確定要清除匯入的實價登錄資料嗎？')) {
+      const negotiation = getSavedNegotiation();
+      delete negotiation.comps;
+      AppState.setPropertyData('negotiation', negotiation);
+      saveComparableSales(null);
+      sales = getComparableSales();
+      refreshToolPanels('comparables');
+      render();
+    }
+  });
+
+  render();
+  return panel;
+}
+
+// ========================================
+// Visit Log
+// ========================================
+
+// Values date and time inputs produce; stored visits and milestones are
+// checked against them before use
+const INPUT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const INPUT_TIME = /^\d{2}:\d{2}$/;
+
+const VISIT_WEATHER = {
+  sunny: { label: '晴', icon: '☀️' },
+  cloudy: { label: '陰', icon: '☁️' },
+  rainy: { label: '雨', icon: '🌧️' }
+};
+
+// Parts of the day used to tell whether a property was seen at different times
+const VISIT_PERIODS = [
+  { label: '上午', until: '12:00' },
+  { label: '下午', until: '17:00' },
+  { label: '晚上', until: '24:00' }
+];
+
+// Items that only count once the visits cover the right conditions; each
+// rule only sees the visits during which its item was checked
+const VISIT_COVERAGE = {
+  v10: {
+    label: '不同時段',
+    covered: (visits) => new Set(visits.map(getVisitPeriod).filter(Boolean)).size >= 2,
+    missing: (visits) => {
+      const periods = Array.from(new Set(visits.map(getVisitPeriod).filter(Boolean)));
+      return periods.length > 0 ? `只在${periods.join('、')}檢查過，建議換個時段再看` : '還沒有檢查過這項的看房紀錄';
+    }
+  },
+  v19: {
+    label: '下午三點後',
+    covered: (visits) => visits.some(visit => visit.time && visit.time >= '15:00'),
+    missing: () => '還沒有下午三點後的看房紀錄'
+  },
+  v20: {
+    label: '雨天',
+    covered: (visits) => visits.some(visit => visit.weather === 'rainy'),
+    missing: () => '還沒有雨天看房紀錄'
+  }
+};
+
+/**
+ * Checks that a stored value has the shape the visit form saves
+ * @param {*} visit - Value to check
+ * @returns {boolean}
+ */
+function isVisitRecord(visit) {
+  return isPlainObject(visit)
+    && typeof visit.id === 'string'
+    && INPUT_DATE.test(visit.date)
+    && INPUT_TIME.test(visit.time)
+    && Array.isArray(visit.itemIds);
+}
+
+/**
+ * Reads the visit log of the active property
+ * @returns {Array} - Visits, newest first; malformed records are left out
+ */
+function getVisits() {
+  const visits = AppState.getPropertyData('visits');
+  return (Array.isArray(visits) ? visits.filter(isVisitRecord) : [])
+    .sort((a, b) => `${b.date} ${b.time}`.localeCompare(`${a.date} ${a.time}`));
+}
+
+/**
+ * Reads the visits during which an item was checked
+ * @param {string} itemId - Item identifier
+ * @returns {Array} - Visits, newest first
+ */
+function getVisitsChecking(itemId) {
+  return getVisits().filter(visit => visit.itemIds.includes(itemId));
+}
+
+/**
+ * Gets the part of the day a visit took place in
+ * @param {Object} visit - Visit record
+ * @returns {string|null} - Label from VISIT_PERIODS
+ */
+function getVisitPeriod(visit) {
+  if (!visit.time) return null;
+  const period = VISIT_PERIODS.find(p => visit.time < p.until);
+  return period ? period.label : null;
+}
+
+/**
+ * Gets what the visit log says about a checklist item
+ * @param {string} itemId - Item identifier
+ * @returns {Object|null} - { icon, text, warning, source }
+ */
+function getVisitCoverageHint(itemId) {
+  const rule = VISIT_COVERAGE[itemId];
+  if (!rule) return null;
+
+  const visits = getVisitsChecking(itemId);
+  const covered = rule.covered(visits);
+  return {
+    icon: '📅',
+    text: covered ? `看房紀錄已涵蓋${rule.label}` : rule.missing(visits),
+    warning: !covered,
+    source: '看房紀錄'
+  };
+}
+
+/**
+ * Asks before passing an item the visit log does not back up yet
+ * @param {string} itemId - Item identifier
+ * @returns {boolean} - Whether to go ahead
+ */
+function confirmVisitCoverage(itemId) {
+  const rule = VISIT_COVERAGE[itemId];
+  if (!rule) return true;
+
+  const visits = getVisitsChecking(itemId);
+  return rule.covered(visits) || window.confirm(`${rule.missing(visits)}。確定要標記為通過嗎？`);
+}
+
+/**
+ * Formats a date as local YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function toLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Opens the add/edit form for a visit
+ * @param {Object|null} visit - Visit to edit, or null to add a new one
+ * @param {Function} onSave - Called with the saved visit
+ */
+function openVisitForm(visit, onSave) {
+  const weatherOptions = Object.entries(VISIT_WEATHER).map(([value, { label, icon }]) =>
+    `<option value="${value}">${icon} ${label}</option>`
+  ).join('');
+  const itemCheckbox = (baseItem) => {
+    const item = AppState.resolveItem(baseItem);
+    return `
+      <label class="visit-form__item">
+        <input type="checkbox" name="itemIds" value="${escapeHtml(item.id)}" />
+        ${escapeHtml(item.text)}
+      </label>
+    `;
+  };
+  const itemGroups = AppState.getSectionStructure('viewing').map(subsection => `
+    <fieldset class="visit-form__group">
+      <legend class="property-form__label">${escapeHtml(subsection.icon || '📌')} ${escapeHtml(subsection.title)}</legend>
+      ${subsection.items.map(itemCheckbox).join('')}
+    </fieldset>
+  `).join('');
+  // Items whose coverage comes from visits stay checkable after being moved out of 看房
+  const movedItems = Object.keys(VISIT_COVERAGE)
+    .map(itemId => AppState.findItem(itemId))
+    .filter(location => location && location.sectionKey !== 'viewing');
+  const movedGroup = movedItems.length === 0 ? '' : `
+    <fieldset class="visit-form__group">
+      <legend class="property-form__label">📌 其他階段</legend>
+      ${movedItems.map(location => itemCheckbox(location.item)).join('')}
+    </fieldset>
   `;
 
-  // Edit form (hidden by default)
-  const editFormEl = document.createElement('div');
-  editFormEl.className = 'subsection__edit-form';
-  editFormEl.innerHTML = `
-    <input type="text" class="subsection__edit-icon" placeholder="圖示" value="${subsection.icon || '📌'}" maxlength="2" />
-    <input type="text" class="subsection__edit-title" placeholder="分類名稱" value="${subsection.title}" />
-    <div class="subsection__edit-actions">
-      <button type="button" class="subsection__edit-cancel">取消</button>
-      <button type="button" class="subsection__edit-save">儲存</button>
+  const form = document.createElement('form');
+  form.className = 'property-form';
+  form.innerHTML = `
+    <div class="property-form__grid">
+      <label class="property-form__field">
+        <span class="property-form__label">日期</span>
+        <input type="date" class="property-form__input" name="date" required />
+      </label>
+      <label class="property-form__field">
+        <span class="property-form__label">時間</span>
+        <input type="time" class="property-form__input" name="time" required />
+      </label>
+      <label class="property-form__field">
+        <span class="property-form__label">天氣</span>
+        <select class="property-form__input" name="weather">${weatherOptions}</select>
+      </label>
+      <label class="property-form__field">
+        <span class="property-form__label">同行</span>
+        <input type="text" class="property-form__input" name="attendees" placeholder="例如：我、另一半、仲介" />
+      </label>
+    </div>
+    <label class="property-form__field">
+      <span class="property-form__label">備註</span>
+      <input type="text" class="property-form__input" name="note" placeholder="例如：傍晚車流量大" />
+    </label>
+    <details class="visit-form__items">
+      <summary class="property-form__label">這次檢查的項目</summary>
+      <p class="property-form__hint">已預先勾選當天有評估的項目。</p>
+      ${itemGroups}
+      ${movedGroup}
+    </details>
+    <div class="property-form__actions">
+      <span></span>
+      <button type="submit" class="property-form__save">${visit ? '儲存' : '新增'}</button>
     </div>
   `;
 
-  subsectionEl.appendChild(headerEl);
-  subsectionEl.appendChild(editFormEl);
-  subsectionEl.appendChild(ul);
+  const checkItems = (itemIds) => {
+    form.querySelectorAll('input[name="itemIds"]').forEach(input => {
+      input.checked = itemIds.includes(input.value);
+    });
+  };
+  // Items assessed on the visit day were most likely checked during it
+  const assessedOn = (date) => Object.entries(AppState.itemStates)
+    .filter(([, state]) => state.updatedAt && toLocalDate(new Date(state.updatedAt)) === date)
+    .map(([itemId]) => itemId);
+
+  if (visit) {
+    ['date', 'time', 'weather', 'attendees', 'note'].forEach(name => {
+      form.elements[name].value = visit[name] || '';
+    });
+    checkItems(visit.itemIds);
+  } else {
+    const now = new Date();
+    form.elements.date.value = toLocalDate(now);
+    form.elements.time.value = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    checkItems(assessedOn(form.elements.date.value));
+    form.elements.date.addEventListener('change', () => checkItems(assessedOn(form.elements.date.value)));
+  }
+
+  const modal = openModal({ title: visit ? '編輯看房紀錄' : '新增看房紀錄', body: form });
+  form.elements.date.focus();
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!form.elements.date.value || !form.elements.time.value) return;
+    onSave({
+      id: visit ? visit.id : `visit_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      date: form.elements.date.value,
+      time: form.elements.time.value,
+      weather: form.elements.weather.value,
+      attendees: form.elements.attendees.value.trim(),
+      note: form.elements.note.value.trim(),
+      itemIds: Array.from(form.querySelectorAll('input[name="itemIds"]:checked')).map(input => input.value)
+    });
+    modal.close();
+  });
+}
 
-  // Handle edit button
-  const editBtn = headerEl.querySelector('.subsection__edit-btn');
-  editBtn.addEventListener('click', (e) => {
-    e.stopPropagation();
-    subsectionEl.classList.add('subsection--editing');
-    editFormEl.querySelector('.subsection__edit-title').focus();
+/**
+ * Creates the visit log panel
+ * @returns {HTMLElement}
+ */
+function createVisitLog() {
+  const { panel, body } = createToolPanel({
+    id: 'visits',
+    icon: '📅',
+    title: '看房紀錄',
+    subtitle: '時段、天氣與每次檢查的項目'
   });
+  const visits = getVisits();
+
+  const coverage = Object.entries(VISIT_COVERAGE).map(([itemId, rule]) => {
+    const checking = getVisitsChecking(itemId);
+    const covered = rule.covered(checking);
+    return `
+      <li class="visit-log__coverage-item${covered ? ' visit-log__coverage-item--covered' : ''}" title="${escapeHtml(covered ? '已涵蓋' : rule.missing(checking))}">
+        ${covered ? '✓' : '✕'} ${rule.label}
+        ${createChecklistLink(itemId)}
+      </li>
+    `;
+  }).join('');
+
+  body.innerHTML = `
+    <ul class="visit-log__coverage">${coverage}</ul>
+    ${visits.length === 0 ? '<p class="calculator__empty">尚未記錄看房。建議不同時段、晴天雨天各看一次。</p>' : `
+      <ol class="visit-log__list">
+        ${visits.map(visit => {
+          const weather = VISIT_WEATHER[visit.weather];
+          const count = visit.itemIds.length;
+          return `
+            <li class="visit-log__visit" data-visit-id="${escapeHtml(visit.id)}">
+              <span class="visit-log__when">${escapeHtml(visit.date)} ${escapeHtml(visit.time)}</span>
+              <span class="visit-log__meta">
+                ${weather ? `${weather.icon} ${weather.label}` : ''}
+                ${visit.attendees ? ` · ${escapeHtml(visit.attendees)}` : ''}
+                ${count > 0 ? ` · 檢查 ${count} 項` : ''}
+              </span>
+              <span class="visit-log__actions">
+                <button type="button" class="visit-log__btn" data-action="invite" title="下載這次看房的 .ics">📅</button>
+                <button type="button" class="visit-log__btn" data-action="edit" title="編輯">✎</button>
+                <button type="button" class="visit-log__btn" data-action="delete" title="刪除">✕</button>
+              </span>
+              ${visit.note ? `<span class="visit-log__note">${escapeHtml(visit.note)}</span>` : ''}
+            </li>
+          `;
+        }).join('')}
+      </ol>
+    `}
+    <button type="button" class="btn-add-item visit-log__add">+ 新增看房紀錄</button>
+  `;
 
-  // Handle delete button
-  const deleteBtn = headerEl.querySelector('.subsection__delete-btn');
-  deleteBtn.addEventListener('click', (e) => {
-    e.stopPropagation();
-    if (confirm(`確定要刪除「${subsection.title}」分類及其所有項目嗎？`)) {
-      AppState.deleteSubsection(sectionKey, subsectionIndex);
-      reRenderSection(sectionKey);
-      updateTotalProgress();
+  // Coverage hints on the checklist change with the log, wherever their items were moved
+  const save = (updated) => {
+    AppState.setPropertyData('visits', updated);
+    const sectionKeys = new Set(['viewing']);
+    Object.keys(VISIT_COVERAGE).forEach(itemId => {
+      const location = AppState.findItem(itemId);
+      if (location) sectionKeys.add(location.sectionKey);
+    });
+    sectionKeys.forEach(sectionKey => reRenderSection(sectionKey));
+  };
+
+  body.addEventListener('click', (e) => {
+    if (e.target.closest('.visit-log__add')) {
+      openVisitForm(null, (visit) => save(getVisits().concat(visit)));
+      return;
     }
-  });
 
-  // Handle save
-  const saveBtn = editFormEl.querySelector('.subsection__edit-save');
-  saveBtn.addEventListener('click', () => {
-    const newIcon = editFormEl.querySelector('.subsection__edit-icon').value.trim() || '📌';
-    const newTitle = editFormEl.querySelector('.subsection__edit-title').value.trim();
-    if (newTitle) {
-      AppState.updateSubsection(sectionKey, subsectionIndex, newTitle, newIcon);
-      reRenderSection(sectionKey);
+    const button = e.target.closest('.visit-log__btn');
+    if (!button) return;
+    const visitId = button.closest('.visit-log__visit').dataset.visitId;
+    const visit = getVisits().find(v => v.id === visitId);
+    if (!visit) return;
+
+    if (button.dataset.action === 'invite') {
+      const property = AppState.getActiveProperty();
+      const event = getCalendarEvents().find(ev => ev.uid === `${property.id}-${visitId}`);
+      if (event) downloadCalendar([event], `${property.name} 看房 ${visit.date}`);
+    } else if (button.dataset.action === 'edit') {
+      openVisitForm(visit, (updated) => save(getVisits().map(v => (v.id === visitId ? updated : v))));
+    } else if (button.dataset.action === 'delete' && window.confirm(`確定要刪除 ${visit.date} 的看房紀錄嗎？`)) {
+      save(getVisits().filter(v => v.id !== visitId));
     }
   });
 
-  // Handle cancel
-  const cancelBtn = editFormEl.querySelector('.subsection__edit-cancel');
-  cancelBtn.addEventListener('click', () => {
-    subsectionEl.classList.remove('subsection--editing');
+  return panel;
+}
+
+// ========================================
+// Calendar Export
+// ========================================
+
+// Steps of the 交屋完整流程 insight, in order
+const CLOSING_MILESTONES = [
+  { key: 'offer', label: '斡旋' },
+  { key: 'deal', label: '成交' },
+  { key: 'downPayment', label: '頭款' },
+  { key: 'loan', label: '找房貸' },
+  { key: 'scrivener', label: '代書稅務' },
+  { key: 'taxPaid', label: '完稅' },
+  { key: 'inspection', label: '驗屋' },
+  { key: 'disbursement', label: '貸款撥款' },
+  { key: 'handover', label: '交屋' }
+];
+
+const ICS_PRODUCT_ID = '-//House Buying Records//ZH-TW';
+const ICS_UID_DOMAIN = 'house-buying-records';
+
+// Length of timed events, in minutes
+const ICS_EVENT_MINUTES = 60;
+
+/**
+ * Reads the milestone dates of the active property
+ * Steps without a valid date are left out, and invalid times read as unset
+ * @returns {Object} - { [key]: { date, time } }
+ */
+function getMilestones() {
+  const saved = AppState.getPropertyData('milestones');
+  const milestones = {};
+  CLOSING_MILESTONES.forEach(({ key }) => {
+    const step = isPlainObject(saved) ? saved[key] : null;
+    if (!isPlainObject(step) || !INPUT_DATE.test(step.date)) return;
+    milestones[key] = { date: step.date, time: INPUT_TIME.test(step.time) ? step.time : '' };
   });
+  return milestones;
+}
 
-  // Add "Add Item" button
-  const addBtn = document.createElement('button');
-  addBtn.className = 'btn-add-item';
-  addBtn.textContent = '+ 新增項目';
-  addBtn.addEventListener('click', () => {
-    const newItem = AppState.addItem(sectionKey, subsectionIndex);
-    if (newItem) {
-      reRenderSection(sectionKey);
-      setTimeout(() => {
-        const newItemEl = document.querySelector(`li[data-item-id="${newItem.id}"]`);
-        if (newItemEl) {
-          enterEditMode(newItemEl);
-        }
-      }, 50);
-      updateTotalProgress();
+/**
+ * Escapes text for an iCalendar property value
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds an iCalendar line to at most 75 octets, without splitting characters
+ * @param {string} line - Unfolded line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward the limit
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
     }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats a date and optional time as iCalendar start and end properties
+ * Timed events use floating local time so they land at the same clock time
+ * in whichever calendar imports them
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [time] - HH:MM; all-day when empty
+ * @returns {Array<string>} - DTSTART and DTEND lines
+ */
+function formatIcsTimes(date, time) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time ? time.split(':').map(Number) : [0, 0];
+  const start = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+  const stamp = (value, withTime) => value.toISOString().replace(/[-:]/g, '').slice(0, withTime ? 15 : 8);
+
+  if (!time) {
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    return [`DTSTART;VALUE=DATE:${stamp(start, false)}`, `DTEND;VALUE=DATE:${stamp(end, false)}`];
+  }
+  const end = new Date(start.getTime() + ICS_EVENT_MINUTES * 60 * 1000);
+  return [`DTSTART:${stamp(start, true)}`, `DTEND:${stamp(end, true)}`];
+}
+
+/**
+ * Builds an iCalendar file
+ * @param {Array} events - [{ uid, date, time, summary, location, description }]
+ * @returns {string}
+ */
+function buildCalendar(events) {
+  const now = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}@${ICS_UID_DOMAIN}`,
+      `DTSTAMP:${now}`,
+      ...formatIcsTimes(event.date, event.time),
+      `SUMMARY:${escapeIcsText(event.summary)}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Collects the dated milestones and visits of the active property
+ * UIDs stay the same between exports, so importing again updates the events
+ * @returns {Array} - Events sorted by date
+ */
+function getCalendarEvents() {
+  const property = AppState.getActiveProperty();
+  if (!property) return [];
+  const milestones = getMilestones();
+
+  const events = CLOSING_MILESTONES.filter(({ key }) => milestones[key] && milestones[key].date).map(({ key, label }) => ({
+    uid: `${property.id}-${key}`,
+    date: milestones[key].date,
+    time: milestones[key].time || '',
+    summary: `${label}｜${property.name}`,
+    location: property.address
+  }));
+
+  getVisits().forEach(visit => {
+    events.push({
+      uid: `${property.id}-${visit.id}`,
+      date: visit.date,
+      time: visit.time,
+      summary: `看房｜${property.name}`,
+      location: property.address,
+      description: [visit.attendees && `同行：${visit.attendees}`, visit.note].filter(Boolean).join('\n')
+    });
   });
 
-  subsectionEl.appendChild(addBtn);
-  container.appendChild(subsectionEl);
+  return events.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
 }
 
 /**
- * Sets up collapse functionality for a section
- * @param {string} sectionId - Section identifier
+ * Downloads events as an .ics file
+ * @param {Array} events - Calendar events
+ * @param {string} name - File name without extension
  */
-function setupSectionCollapse(sectionId) {
-  const section = document.getElementById(sectionId);
-  if (!section) return;
+function downloadCalendar(events, name) {
+  const filename = `${name.replace(/[\\/:*?"<>|]/g, '_')}.ics`;
+  downloadFile(filename, buildCalendar(events), 'text/calendar;charset=utf-8');
+}
 
-  const header = section.querySelector('.section__header');
-  if (!header) return;
+/**
+ * Creates the closing milestone planner panel
+ * @returns {HTMLElement}
+ */
+function createMilestonePlanner() {
+  const { panel, body } = createToolPanel({
+    id: 'milestones',
+    icon: '🗓️',
+    title: '交屋時程',
+    subtitle: '排定每個步驟的日期並匯出到行事曆'
+  });
+  const milestones = getMilestones();
+
+  body.innerHTML = `
+    <form class="calculator milestones">
+      <ol class="milestones__list">
+        ${CLOSING_MILESTONES.map(({ key, label }) => `
+          <li class="milestones__step" data-key="${key}">
+            <span class="milestones__label">${label}</span>
+            <input type="date" class="calculator__input" name="${key}-date" aria-label="${label}日期" value="${(milestones[key] && milestones[key].date) || ''}" />
+            <input type="time" class="calculator__input" name="${key}-time" aria-label="${label}時間（可留空）" value="${(milestones[key] && milestones[key].time) || ''}" />
+            <button type="button" class="calculator__button milestones__invite" title="下載這個行程的 .ics">📅</button>
+          </li>
+        `).join('')}
+      </ol>
+      <p class="calculator__empty">時間可留空，會匯出為整天行程。看房紀錄也會一起匯出。</p>
+      <button type="button" class="btn-add-item milestones__export">匯出全部行程（.ics）</button>
+    </form>
+  `;
 
-  // Apply initial collapsed state
-  if (AppState.isCollapsed(sectionId)) {
-    section.classList.add('section--collapsed');
-  }
+  const form = body.querySelector('.milestones');
+
+  // Flags steps dated before an earlier step
+  const markOrder = () => {
+    let latest = '';
+    form.querySelectorAll('.milestones__step').forEach(step => {
+      const date = form.elements[`${step.dataset.key}-date`].value;
+      const outOfOrder = Boolean(date) && date < latest;
+      step.classList.toggle('milestones__step--out-of-order', outOfOrder);
+      step.title = outOfOrder ? '日期早於前面的步驟' : '';
+      step.querySelector('.milestones__invite').disabled = !date;
+      if (date > latest) latest = date;
+    });
+  };
 
-  // Handle click
-  header.addEventListener('click', () => {
-    const isCollapsed = AppState.toggleCollapsed(sectionId);
-    section.classList.toggle('section--collapsed', isCollapsed);
+  form.addEventListener('submit', (e) => e.preventDefault());
+  form.addEventListener('input', () => {
+    const updated = {};
+    CLOSING_MILESTONES.forEach(({ key }) => {
+      const date = form.elements[`${key}-date`].value;
+      if (date) updated[key] = { date, time: form.elements[`${key}-time`].value };
+    });
+    AppState.setPropertyData('milestones', updated);
+    markOrder();
   });
+
+  form.addEventListener('click', (e) => {
+    const property = AppState.getActiveProperty();
+    if (!property) return;
+
+    if (e.target.closest('.milestones__export')) {
+      const events = getCalendarEvents();
+      if (events.length === 0) {
+        showToast('還沒有排定日期的行程');
+        return;
+      }
+      downloadCalendar(events, `${property.name} 購屋行程`);
+      return;
+    }
+
+    const invite = e.target.closest('.milestones__invite');
+    if (invite) {
+      const { key } = invite.closest('.milestones__step').dataset;
+      const event = getCalendarEvents().find(ev => ev.uid === `${property.id}-${key}`);
+      const label = CLOSING_MILESTONES.find(m => m.key === key).label;
+      if (event) downloadCalendar([event], `${property.name} ${label}`);
+    }
+  });
+
+  markOrder();
+  return panel;
 }
 
 // ========================================
@@ -1250,10 +7492,10 @@ const checklistData = {
         { id: 'v14', text: '水壓測試', description: '開啟水龍頭測試水壓是否正常' },
         { id: 'v15', text: '電路檢查', description: '電箱管線狀況、所有插座是否通電' },
         { id: 'v16', text: '門窗密合', description: '窗框是否密合、開關是否順暢' },
-        { id: 'v17', text: '特殊屋況', description: '查詢是否為輻射屋、海砂屋、事故屋' },
+        { id: 'v17', text: '特殊屋況', description: '查詢是否為輻射屋、海砂屋、事故屋', weight: 3, dealBreaker: true },
         { id: 'v18', text: '隔音效果', description: '測試牆壁隔音效果' },
         { id: 'v19', text: '西曬問題', description: '下午時段確認是否有西曬問題' },
-        { id: 'v20', text: '漏水檢查', description: '建議雨天看房，檢查滲水問題' }
+        { id: 'v20', text: '漏水檢查', description: '建議雨天看房，檢查滲水問題', weight: 3, dealBreaker: true }
       ]
     }
   ],
@@ -1275,8 +7517,8 @@ const checklistData = {
       title: '法律與文件',
       icon: '📋',
       items: [
-        { id: 'b8', text: '產權確認', description: '查詢地籍謄本確認產權清楚' },
-        { id: 'b9', text: '抵押查封', description: '確認無抵押權或查封' },
+        { id: 'b8', text: '產權確認', description: '查詢地籍謄本確認產權清楚', weight: 3, dealBreaker: true },
+        { id: 'b9', text: '抵押查封', description: '確認無抵押權或查封', weight: 3, dealBreaker: true },
         { id: 'b10', text: '合約審閱', description: '詳細閱讀買賣合約所有條款' },
         { id: 'b11', text: '附贈物品', description: '確認合約中附贈的家電、傢俱' },
         { id: 'b12', text: '土地分區', description: '確認土地使用分區' },
@@ -1506,15 +7748,37 @@ function navigateToSection(sectionId) {
     section.scrollIntoView({ behavior: 'smooth' });
   }
 }
+
+/**
+ * Scrolls to an element inside a section and briefly highlights it
+ * Expands the section first if it is collapsed
+ * @param {string} sectionKey - Section key
+ * @param {string} selector - Selector of the element
+ */
+function revealInSection(sectionKey, selector) {
+  navigateToSection(`section-${sectionKey}`);
+
+  const target = document.querySelector(selector);
+  if (!target) return;
+
+  // An item hidden by the view filter cannot be scrolled to, so show everything
+  if (target.closest('.checklist__item[hidden], .subsection--filtered-empty .checklist')) {
+    changeViewFilter('all');
+    showToast('已切換為顯示全部項目');
+  }
+
+  target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  target.classList.add('reveal-flash');
+  setTimeout(() => target.classList.remove('reveal-flash'), 2000);
+}
 /**
  * Updates total progress in hero section
  */
 function updateTotalProgress() {
-  const allItems = document.querySelectorAll('.checklist__item');
-  const checkedItems = document.querySelectorAll('.checklist__item--checked');
+  const allItems = SECTION_KEYS.flatMap(sectionKey => getSectionItems(sectionKey));
+  const { total, checked } = countItemProgress(allItems, AppState.itemStates);
+  const { score, failedDealBreakers } = computeScore(allItems, AppState.itemStates);
 
-  const total = allItems.length;
-  const checked = checkedItems.length;
   const remaining = total - checked;
   const percentage = total > 0 ? Math.round((checked / total) * 100) : 0;
 
@@ -1529,10 +7793,28 @@ function updateTotalProgress() {
   if (completedEl) completedEl.textContent = checked;
   if (remainingEl) remainingEl.textContent = remaining;
 
+  // Update weighted score
+  const scoreEl = document.getElementById('total-score');
+  if (scoreEl) {
+    scoreEl.textContent = score === null ? '尚未評分' : `綜合評分 ${score}`;
+  }
+
+  // Highlight failed deal-breakers
+  const alertEl = document.getElementById('dealbreaker-alert');
+  if (alertEl) {
+    alertEl.hidden = failedDealBreakers.length === 0;
+    alertEl.innerHTML = `
+      <span class="dealbreaker-alert__icon">⛔</span>
+      <span class="dealbreaker-alert__text">
+        <strong>絕不妥協項目不合格：</strong>${failedDealBreakers.map(item => escapeHtml(AppState.resolveItem(item).text)).join('、')}
+      </span>
+    `;
+  }
+
   // Update progress ring
   const progressRing = document.getElementById('progress-ring');
   if (progressRing) {
-    const circumference = 2 * Math.PI * 45; // radius = 45
+    const circumference = 2 * Math.PI * 54; // radius = 54
     const offset = circumference - (percentage / 100) * circumference;
     progressRing.style.strokeDashoffset = offset;
   }
@@ -1627,6 +7909,320 @@ function setupBentoNav() {
   });
 }
 
+// ========================================
+// Search
+// ========================================
+
+const SEARCH_TYPE_LABELS = {
+  item: '項目',
+  note: '註記',
+  insight: '心得'
+};
+
+// Characters of context kept on each side of the first match in a snippet
+const SEARCH_SNIPPET_RADIUS = 30;
+
+/**
+ * Collects everything searchable: checklist items, section notes and notes.js insights
+ * @returns {Array} - Entries of { sectionKey, type, title, body, selector }
+ */
+function buildSearchIndex() {
+  const entries = [];
+
+  SECTION_KEYS.forEach(sectionKey => {
+    const sectionId = `section-${sectionKey}`;
+
+    getSectionItems(sectionKey).forEach(baseItem => {
+      const item = AppState.resolveItem(baseItem);
+      entries.push({
+        sectionKey,
+        type: 'item',
+        title: item.text,
+        body: stripMarkdown(item.description || ''),
+        selector: `li[data-item-id="${item.id}"]`
+      });
+    });
+
+    AppState.getNotes(sectionId).forEach(note => {
+      entries.push({
+        sectionKey,
+        type: 'note',
+        title: '',
+        body: stripMarkdown(note.text),
+        selector: `#${sectionId} li[data-note-id="${note.id}"]`
+      });
+    });
+
+    const insights = typeof myNotes !== 'undefined' ? myNotes[sectionId] || [] : [];
+    insights.forEach((note, index) => {
+      entries.push({
+        sectionKey,
+        type: 'insight',
+        title: note.title,
+        body: Array.isArray(note.content) ? note.content.filter(Boolean).join(' ') : note.content,
+        selector: `#${sectionId} .insight-card[data-insight-index="${index}"]`
+      });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Reduces Markdown to the plain text a reader sees
+ * @param {string} text - Markdown text
+ * @returns {string}
+ */
+function stripMarkdown(text) {
+  return text
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/\*\*|\*|`/g, '')
+    .replace(/^\s*(?:[-*]|>)\s+/gm, '');
+}
+
+/**
+ * Splits a query into lowercase terms; every term has to match
+ * @param {string} query - Search input
+ * @returns {string[]}
+ */
+function getSearchTerms(query) {
+  return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Finds the entries whose title or body contains every term
+ * @param {Array} entries - Entries from buildSearchIndex()
+ * @param {string[]} terms - Terms from getSearchTerms()
+ * @returns {Array}
+ */
+function searchEntries(entries, terms) {
+  if (terms.length === 0) return [];
+  return entries.filter(entry => {
+    const haystack = `${entry.title}\n${entry.body}`.toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+/**
+ * Escapes text and wraps every occurrence of the terms in <mark>
+ * @param {string} text - Plain text
+ * @param {string[]} terms - Terms to highlight
+ * @returns {string} - HTML
+ */
+function highlightMatches(text, terms) {
+  if (!text) return '';
+  const pattern = terms
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  if (!pattern) return escapeHtml(text);
+
+  return text
+    .split(new RegExp(`(${pattern})`, 'gi'))
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+/**
+ * Cuts long text down to the part around the first match
+ * @param {string} text - Plain text
+ * @param {string[]} terms - Search terms
+ * @returns {string}
+ */
+function createSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, first - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SEARCH_SNIPPET_RADIUS * 2);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Opens the search dialog
+ */
+function openSearch() {
+  if (document.querySelector('.modal--search')) return;
+
+  const entries = buildSearchIndex();
+  const container = document.createElement('div');
+  container.className = 'search';
+  container.innerHTML = `
+    <input type="search" class="search__input" placeholder="搜尋項目、註記與心得，例如：漏水" aria-label="搜尋" />
+    <div class="search__results" role="listbox"></div>
+  `;
+
+  const modal = openModal({ title: '搜尋', body: container, className: 'modal--search' });
+  const input = container.querySelector('.search__input');
+  const resultsEl = container.querySelector('.search__results');
+  let results = [];
+
+  const select = (entry) => {
+    modal.close();
+    revealInSection(entry.sectionKey, entry.selector);
+  };
+
+  const render = () => {
+    const terms = getSearchTerms(input.value);
+    results = searchEntries(entries, terms);
+
+    if (terms.length === 0) {
+      resultsEl.innerHTML = '<p class="search__empty">輸入關鍵字開始搜尋</p>';
+      return;
+    }
+    if (results.length === 0) {
+      resultsEl.innerHTML = '<p class="search__empty">找不到符合的內容</p>';
+      return;
+    }
+
+    resultsEl.innerHTML = SECTION_KEYS.map(sectionKey => {
+      const matches = results.filter(entry => entry.sectionKey === sectionKey);
+      if (matches.length === 0) return '';
+
+      const rows = matches.map(entry => `
+        <button type="button" class="search__result" role="option" data-index="${results.indexOf(entry)}">
+          <span class="search__type search__type--${entry.type}">${SEARCH_TYPE_LABELS[entry.type]}</span>
+          <span class="search__text">
+            ${entry.title ? `<span class="search__title">${highlightMatches(entry.title, terms)}</span>` : ''}
+            ${entry.body ? `<span class="search__snippet">${highlightMatches(createSnippet(entry.body, terms), terms)}</span>` : ''}
+          </span>
+        </button>
+      `).join('');
+
+      return `
+        <section class="search__group">
+          <h4 class="search__group-title">${SECTION_TITLES[sectionKey]}<span class="search__count">${matches.length}</span></h4>
+          ${rows}
+        </section>
+      `;
+    }).join('');
+  };
+
+  input.addEventListener('input', render);
+
+  // Enter opens the first result; arrow keys walk through the list
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && results.length > 0) {
+      e.preventDefault();
+      select(results[0]);
+    } else if (e.key === 'ArrowDown') {
+      const first = resultsEl.querySelector('.search__result');
+      if (first) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  });
+
+  resultsEl.addEventListener('click', (e) => {
+    const button = e.target.closest('.search__result');
+    if (button) select(results[Number(button.dataset.index)]);
+  });
+
+  resultsEl.addEventListener('keydown', (e) => {
+    const buttons = [...resultsEl.querySelectorAll('.search__result')];
+    const index = buttons.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    if (e.key === 'ArrowDown' && index < buttons.length - 1) {
+      e.preventDefault();
+      buttons[index + 1].focus();
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      (index > 0 ? buttons[index - 1] : input).focus();
+    }
+  });
+
+  render();
+  input.focus();
+}
+
+/**
+ * Sets up the search button and the "/" shortcut
+ */
+function setupSearch() {
+  const button = document.getElementById('search-open');
+  if (button) {
+    button.addEventListener('click', openSearch);
+  }
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const target = e.target;
+    if (target instanceof Element && target.closest('input, textarea, select, [contenteditable="true"], dialog')) return;
+
+    e.preventDefault();
+    openSearch();
+  });
+}
+
+// ========================================
+// Error Recovery
+// ========================================
+
+/**
+ * Replaces the app with a screen offering ways to recover unreadable data
+ * @param {StorageError} error - The load failure
+ */
+function showRecoveryScreen(error) {
+  console.warn('Failed to load state:', error.cause || error);
+
+  const app = document.querySelector('.app');
+  if (app) app.hidden = true;
+
+  const screen = document.createElement('div');
+  screen.className = 'recovery';
+  screen.innerHTML = `
+    <div class="recovery__card">
+      <div class="recovery__icon">🛠️</div>
+      <h1 class="recovery__title">無法讀取已儲存的資料</h1>
+      <p class="recovery__message">${escapeHtml(error.message)}</p>
+      ${error.key ? `<p class="recovery__key">資料位置：<code>${escapeHtml(error.key)}</code></p>` : ''}
+      <p class="recovery__hint">建議先下載原始資料留存，再選擇移除損壞的部分或重設。</p>
+      <div class="recovery__actions">
+        <button type="button" class="recovery__btn recovery__btn--primary" data-action="download">下載原始資料</button>
+        ${error.key ? '<button type="button" class="recovery__btn" data-action="remove">移除損壞的資料</button>' : ''}
+        <button type="button" class="recovery__btn recovery__btn--danger" data-action="reset">重設所有資料</button>
+        <button type="button" class="recovery__btn" data-action="reload">重新載入</button>
+      </div>
+    </div>
+  `;
+
+  const actions = {
+    download() {
+      // Raw strings are kept untouched so nothing is lost to parsing
+      const raw = {};
+      getStoredKeys().forEach(key => {
+        raw[key] = localStorage.getItem(key);
+      });
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(`house-buying-raw-${date}.json`, JSON.stringify(raw, null, 2), 'application/json');
+    },
+    remove() {
+      if (window.confirm(`確定要移除「${error.key}」嗎？其他資料會保留。`)) {
+        localStorage.removeItem(error.key);
+        window.location.reload();
+      }
+    },
+    reset() {
+      if (window.confirm('確定要清除所有買房紀錄資料嗎？此操作無法復原。')) {
+        getStoredKeys().forEach(key => localStorage.removeItem(key));
+        window.location.reload();
+      }
+    },
+    reload() {
+      window.location.reload();
+    }
+  };
+
+  screen.querySelectorAll('.recovery__btn').forEach(button => {
+    button.addEventListener('click', () => actions[button.dataset.action]());
+  });
+
+  document.body.appendChild(screen);
+}
+
 // ========================================
 // Initialization
 // ========================================
@@ -1635,23 +8231,53 @@ function setupBentoNav() {
  * Main initialization function
  */
 function init() {
-  // Load saved state
-  AppState.load();
-
   // Initialize theme
   ThemeManager.init();
 
+  // Load saved state
+  try {
+    AppState.load();
+  } catch (error) {
+    showRecoveryScreen(error);
+    return;
+  }
+
   // Setup theme toggle
   const themeToggle = document.querySelector('.theme-toggle');
   if (themeToggle) {
     themeToggle.addEventListener('click', () => ThemeManager.toggle());
   }
 
+  // Setup property switcher
+  setupPropertySwitcher();
+
+  // Setup backup export/import
+  setupBackup();
+
+  // Setup undo/redo shortcuts
+  setupHistoryShortcuts();
+
+  // Setup search
+  setupSearch();
+
+  // Setup view filter
+  setupViewFilter();
+
+  // Setup attachment cleanup
+  const cleanupBtn = document.getElementById('attachment-cleanup');
+  if (cleanupBtn) {
+    cleanupBtn.addEventListener('click', () => cleanUpAttachments());
+  }
+
+  // Setup template update check
+  const templateBtn = document.getElementById('template-updates');
+  if (templateBtn) {
+    templateBtn.addEventListener('click', () => openTemplateUpdates());
+  }
+  updateTemplateBadge();
+
   // Initialize all sections
-  initializeSection('section-viewing', 'viewing');
-  initializeSection('section-buying', 'buying');
-  initializeSection('section-handover', 'handover');
-  initializeSection('section-loan', 'loan');
+  renderAllSections();
 
   // Setup navigation
   setupNavigation();
@@ -1661,6 +8287,9 @@ function init() {
   // Update total progress
   updateTotalProgress();
 
+  // Load the active property's attachments from IndexedDB and show storage usage
+  loadAttachments();
+
   console.log('House Buying Records initialized successfully!');
 }
 